@@ -0,0 +1,30 @@
+// Lints a question bank file and prints a report.
+// Usage: npm run lint:bank -- [path/to/bank.json|bank.csv] [--warnings]
+// Exits with status 1 when any error-level issue is found.
+import { readFileSync } from 'node:fs';
+import Papa from 'papaparse';
+import { validateQuestionBank, VALIDATION_RULES } from '../src/lib/bankValidator.js';
+
+const args = process.argv.slice(2);
+const showWarnings = args.includes('--warnings');
+const file = args.find(arg => !arg.startsWith('--')) || new URL('../src/qae.json', import.meta.url).pathname;
+
+const text = readFileSync(file, 'utf8');
+const rows = /\.csv$/i.test(file)
+  ? Papa.parse(text, { header: true, skipEmptyLines: 'greedy' }).data
+  : JSON.parse(text);
+
+const { issues, summary } = validateQuestionBank(Array.isArray(rows) ? rows : rows.questions);
+
+console.log(`${file}: ${summary.total} questions, ${summary.errors} errors, ${summary.warnings} warnings\n`);
+Object.entries(summary.byRule).forEach(([rule, count]) => {
+  if (count > 0) console.log(`  ${VALIDATION_RULES[rule].severity.padEnd(7)} ${String(count).padStart(4)}  ${VALIDATION_RULES[rule].label}`);
+});
+
+const listed = issues.filter(issue => showWarnings || issue.severity === 'error');
+if (listed.length > 0) console.log('');
+listed.forEach(issue => {
+  console.log(`  #${issue.index + 1} ${issue.severity}: ${issue.message} [${issue.rule}]`);
+});
+
+process.exitCode = summary.errors > 0 ? 1 : 0;
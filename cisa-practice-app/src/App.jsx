@@ -1,13 +1,40 @@
-import React, { useState, useEffect } from 'react';
-import { Clock, BookOpen, Award, Play, RotateCcw, CheckCircle, XCircle, AlertCircle, BarChart3, Home, Download, Bookmark, Moon, Sun, ChevronLeft, ChevronRight, Calendar, Target } from 'lucide-react'; // Added Calendar, Target
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
-import { useSwipeable } from 'react-swipeable';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useReducer, useRef } from 'react';
 // Import questions from JSON file (Assuming it's updated with difficulty)
 import rawQuestionsData from './qae.json'; // Ensure qae.json has a 'Difficulty' field (e.g., 1-5)
+import { createPersistentStorage, PROGRESS_DEFAULTS } from './lib/storage.js';
+import { normalizeDomain } from './lib/domains.js';
+import { resolveTags, matchesTaxonomyFilter, aggregateByTaxonomy } from './lib/taxonomy.js';
+import { assignQuestionIds } from './lib/questionId.js';
+import { gradeAnswer, scheduleReview } from './lib/spacedRepetition.js';
+import { selectAdaptiveQuestions } from './lib/adaptive.js';
+import { createSeed, createRng } from './lib/shuffle.js';
+import { getSlowQuestionIds, buildPracticeSet, createPreset, parseSetConfig } from './lib/practiceSets.js';
+import { START_LINK_MODES, buildPath, buildUrl, parseLocation } from './lib/routes.js';
+import { getExamDurationSeconds, formatTime } from './lib/timerPolicy.js';
+import { getOverallStats, getDomainChartData, getProgressChartData, applyDomainBreakdown } from './lib/sessionHistory.js';
+import {
+  DEFAULT_SESSION_SETTINGS, initialSessionState, sessionReducer, isPracticeMode, getCurrentQuestion, getClockSeconds,
+  prepareSessionQuestions, drawPracticeQuestions, drawExamQuestions, toCheckpoint, isCheckpointDue, restoreQuestions, recordAbandonedSession,
+} from './lib/sessionEngine.js';
+import { buildSessionHistoryCsv, buildQuestionCsv, downloadCsv } from './lib/exportCsv.js';
+import { buildReportHtml, getMissedQuestions, printReport } from './lib/report.js';
+import QuestionBankImport from './components/QuestionBankImport.jsx';
+import BankHealth from './components/BankHealth.jsx';
+import Calibration from './components/Calibration.jsx';
+import Dashboard from './components/Dashboard.jsx';
+import SessionSetup from './components/SessionSetup.jsx';
+import QuestionScreen from './components/QuestionScreen.jsx';
+import ExamReview from './components/ExamReview.jsx';
+import Results from './components/Results.jsx';
+import SessionReview from './components/SessionReview.jsx';
+import SessionHistory from './components/SessionHistory.jsx';
+import Tagging from './components/Tagging.jsx';
+import Search from './components/Search.jsx';
+import PracticeBuilder from './components/PracticeBuilder.jsx';
 
 // --- Data Transformation (Enhanced) ---
-const transformQuestions = (rawData) => {
+const transformQuestions = (rawData, calibration = {}, tags = {}) => {
+  const ids = assignQuestionIds(rawData);
   return rawData.map((rawQ, index) => {
     const options = [rawQ.OptionA, rawQ.OptionB, rawQ.OptionC, rawQ.OptionD].filter(Boolean);
     const correctAnswerLetter = (rawQ.CorrectAnswer || 'A').trim().toUpperCase();
@@ -15,101 +42,113 @@ const transformQuestions = (rawData) => {
     if (correctAnswerIndex === -1) {
       correctAnswerIndex = 0;
     }
-    const domain = (rawQ.Domain || 'General')
-      .toLowerCase()
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
+    const domain = normalizeDomain(rawQ.Domain);
 
     // --- Enhancement: Parse Difficulty ---
-    // Assume Difficulty is a number between 1-5 in the raw data
-    let difficulty = parseInt(rawQ.Difficulty, 10);
+    // Calibrated estimates win over a Difficulty column (1-5) in the raw data
+    const calibrated = calibration[ids[index]];
+    let difficulty = calibrated ? calibrated.difficulty : parseInt(rawQ.Difficulty, 10);
     if (isNaN(difficulty) || difficulty < 1 || difficulty > 5) {
         // Default to medium difficulty if missing or invalid
         difficulty = 3;
     }
+    const discrimination = calibrated && calibrated.a !== null ? calibrated.a : parseFloat(rawQ.Discrimination) || null;
 
-    return {
-      id: rawQ.id || index + 1,
+    const question = {
+      id: ids[index],
       question: rawQ.Question,
       options: options,
       correctAnswer: correctAnswerIndex,
       domain: domain,
       explanation: rawQ.Explanation || 'No explanation provided.',
-      difficulty: difficulty // Add difficulty to the question object
+      difficulty: difficulty, // Add difficulty to the question object
+      discrimination: discrimination
     };
+    // Subdomain/topic tags: saved tags, then bank columns, then the auto-tagger
+    return { ...question, ...resolveTags(question, rawQ, tags[ids[index]]) };
   });
 };
 
-// --- Memory storage helpers (no localStorage in artifacts) ---
-const createMemoryStorage = () => {
-  const storage = {};
-  return {
-    getItem: (key, defaultValue) => {
-      const item = storage[key];
-      if (item === undefined) return defaultValue;
-      try {
-        return JSON.parse(item);
-      } catch (e) {
-        return item; // Return as is if not JSON
-      }
-    },
-    setItem: (key, value) => { storage[key] = JSON.stringify(value); }
-  };
-};
-const memoryStorage = createMemoryStorage();
+const progressStorage = createPersistentStorage();
 
 // --- Main application component ---
 const CISAPracticeApp = () => {
+  // --- State for question banks ---
+  const [questionBanks, setQuestionBanks] = useState(PROGRESS_DEFAULTS.questionBanks); // Imported banks: { id, name, createdAt, rows }
+  const [activeBankId, setActiveBankId] = useState(PROGRESS_DEFAULTS.activeBankId); // 'builtin' uses qae.json
+  const [questionCalibration, setQuestionCalibration] = useState(PROGRESS_DEFAULTS.questionCalibration); // { questionId: { difficulty, b, a, responses, method } }
+
   // --- State for questions ---
-  const [allQuestions] = useState(() => transformQuestions(rawQuestionsData)); // Use rawQuestionsData
-  const [questions, setQuestions] = useState([]);
+  const activeBank = questionBanks.find(b => b.id === activeBankId);
+  const activeBankRows = activeBank ? activeBank.rows : rawQuestionsData;
+  const [questionTags, setQuestionTags] = useState(PROGRESS_DEFAULTS.questionTags); // { questionId: { subdomain, topic } } set in the tagging screen
+  const allQuestions = useMemo(() => transformQuestions(activeBankRows, questionCalibration, questionTags), [activeBankRows, questionCalibration, questionTags]);
   const [currentMode, setCurrentMode] = useState('analytics');
-  const [currentQuestion, setCurrentQuestion] = useState(0);
   const [lastSessionResults, setLastSessionResults] = useState(null);
-  const [selectedAnswers, setSelectedAnswers] = useState({});
+  const [historySessionId, setHistorySessionId] = useState(null); // Session open in the history browser, null for the list
 
-  // --- State for exam mode ---
-  const [examStartTime, setExamStartTime] = useState(null);
-  const [examDuration, setExamDuration] = useState(240 * 60);
-  const [timeRemaining, setTimeRemaining] = useState(240 * 60);
+  // --- State for the running practice/exam session (see lib/sessionEngine.js) ---
+  const [session, dispatch] = useReducer(sessionReducer, initialSessionState);
 
   // --- State for practice/exam setup ---
-  const [selectedDomain, setSelectedDomain] = useState('all');
-  const [numberOfQuestions, setNumberOfQuestions] = useState(20);
-  const [examQuestionCount, setExamQuestionCount] = useState(150);
+  const [sessionSettings, setSessionSettings] = useState(DEFAULT_SESSION_SETTINGS);
+  const taxonomyFilter = { domain: sessionSettings.domain, subdomain: sessionSettings.subdomain, topic: sessionSettings.topic };
   const [availableDomains, setAvailableDomains] = useState([]);
 
   // --- State for analytics ---
-  const [sessionHistory, setSessionHistory] = useState(() => memoryStorage.getItem('sessionHistory', []));
-  const [domainPerformance, setDomainPerformance] = useState(() => memoryStorage.getItem('domainPerformance', {}));
+  const [sessionHistory, setSessionHistory] = useState(PROGRESS_DEFAULTS.sessionHistory);
+  const [domainPerformance, setDomainPerformance] = useState(PROGRESS_DEFAULTS.domainPerformance);
   // --- Enhancement: Question Performance Tracking ---
-  const [questionPerformance, setQuestionPerformance] = useState(() => memoryStorage.getItem('questionPerformance', {})); // { questionId: { correctCount, totalCount, lastCorrect } }
-  const [sessionStartTime, setSessionStartTime] = useState(null);
+  const [questionPerformance, setQuestionPerformance] = useState(PROGRESS_DEFAULTS.questionPerformance); // { questionId: { correctCount, totalCount, lastCorrect, ease, interval, repetitions, due, lastReviewed } }
+  const [activeSession, setActiveSession] = useState(PROGRESS_DEFAULTS.activeSession); // Checkpoint of the in-progress session, if any
 
   // --- State for advanced features ---
-  const [bookmarkedQuestions, setBookmarkedQuestions] = useState(() => new Set(memoryStorage.getItem('bookmarked', [])));
-  const [incorrectlyAnswered, setIncorrectlyAnswered] = useState(() => new Set(memoryStorage.getItem('incorrect', [])));
+  const [bookmarkedQuestions, setBookmarkedQuestions] = useState(() => new Set(PROGRESS_DEFAULTS.bookmarked));
+  const [incorrectlyAnswered, setIncorrectlyAnswered] = useState(() => new Set(PROGRESS_DEFAULTS.incorrect));
+  const [practicePresets, setPracticePresets] = useState(PROGRESS_DEFAULTS.practicePresets); // Saved custom practice sets: { id, name, config, createdAt }
+  const [editingPresetId, setEditingPresetId] = useState(null); // Preset open in the builder, null for a new set
 
   // --- State for new features ---
-  const [isDarkMode, setIsDarkMode] = useState(() => memoryStorage.getItem('darkMode', false));
-  const [questionStartTime, setQuestionStartTime] = useState(null);
-  const [questionTimes, setQuestionTimes] = useState({});
+  const [isDarkMode, setIsDarkMode] = useState(PROGRESS_DEFAULTS.darkMode);
+
+  // --- Persistence status ---
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState(null);
 
   // --- Adaptive Learning States ---
-  const [examDate, setExamDate] = useState(() => memoryStorage.getItem('examDate', null)); // YYYY-MM-DD string
-  const [studyPlan, setStudyPlan] = useState(() => memoryStorage.getItem('studyPlan', [])); // Array of { date, tasks }
-  const [adaptivePracticeMode, setAdaptivePracticeMode] = useState(false); // Toggle for adaptive logic
-  const [currentDifficulty, setCurrentDifficulty] = useState(3); // Track current question difficulty in adaptive mode
-
-  // --- CISA Domain Weights ---
-  const CISA_DOMAIN_WEIGHTS = {
-    "Information System Auditing Process": 0.18,
-    "Governance And Management Of It": 0.18,
-    "Information Systems Acquisition, Development And Implementation": 0.12,
-    "Information Systems Operations And Business Resilience": 0.26,
-    "Protection Of Information Assets": 0.26,
-  };
+  const [examDate, setExamDate] = useState(PROGRESS_DEFAULTS.examDate); // YYYY-MM-DD string
+  const [studyPlan, setStudyPlan] = useState(PROGRESS_DEFAULTS.studyPlan); // Array of { date, tasks }
+
+  // --- Load persisted progress ---
+  useEffect(() => {
+    let cancelled = false;
+    progressStorage.load({ builtinRows: rawQuestionsData })
+      .then(({ data }) => {
+        if (cancelled) return;
+        setSessionHistory(data.sessionHistory);
+        setDomainPerformance(data.domainPerformance);
+        setQuestionPerformance(data.questionPerformance);
+        setBookmarkedQuestions(new Set(data.bookmarked));
+        setIncorrectlyAnswered(new Set(data.incorrect));
+        setIsDarkMode(data.darkMode);
+        setExamDate(data.examDate);
+        setStudyPlan(data.studyPlan);
+        setQuestionBanks(data.questionBanks);
+        setActiveBankId(data.activeBankId);
+        setQuestionCalibration(data.questionCalibration);
+        setQuestionTags(data.questionTags);
+        setPracticePresets(data.practicePresets);
+        setActiveSession(data.activeSession);
+      })
+      .catch(error => {
+        console.error('Failed to load saved progress:', error);
+        if (!cancelled) setStorageError(error);
+      })
+      .finally(() => {
+        if (!cancelled) setStorageReady(true);
+      });
+    return () => { cancelled = true; };
+  }, []);
 
   // --- Set dark mode class on document ---
   useEffect(() => {
@@ -118,8 +157,10 @@ const CISAPracticeApp = () => {
     } else {
       document.documentElement.classList.remove('dark');
     }
-    memoryStorage.setItem('darkMode', isDarkMode);
-  }, [isDarkMode]);
+    if (storageReady) {
+      progressStorage.save({ darkMode: isDarkMode }).catch(setStorageError);
+    }
+  }, [isDarkMode, storageReady]);
 
   // --- Extract available domains ---
   useEffect(() => {
@@ -129,251 +170,209 @@ const CISAPracticeApp = () => {
     }
   }, [allQuestions]);
 
-  // --- Save progress to memory storage ---
+  // --- Save progress to persistent storage ---
+  // Skipped until the initial load finishes so defaults never overwrite saved data.
+  // Only keys whose state changed are written: checkpoints change after every
+  // answer, and rewriting the banks and history each time is slow on the
+  // localStorage fallback.
+  const savedProgress = useRef(null);
   useEffect(() => {
-    memoryStorage.setItem('sessionHistory', sessionHistory);
-    memoryStorage.setItem('domainPerformance', domainPerformance);
-    memoryStorage.setItem('questionPerformance', questionPerformance); // Save question performance
-    memoryStorage.setItem('bookmarked', [...bookmarkedQuestions]);
-    memoryStorage.setItem('incorrect', [...incorrectlyAnswered]);
-    memoryStorage.setItem('examDate', examDate); // Save exam date
-    memoryStorage.setItem('studyPlan', studyPlan); // Save study plan
-  }, [sessionHistory, domainPerformance, questionPerformance, bookmarkedQuestions, incorrectlyAnswered, examDate, studyPlan]);
+    if (!storageReady) return;
+    const progress = {
+      sessionHistory,
+      domainPerformance,
+      questionPerformance,
+      bookmarked: bookmarkedQuestions,
+      incorrect: incorrectlyAnswered,
+      examDate,
+      studyPlan,
+      questionBanks,
+      activeBankId,
+      questionCalibration,
+      questionTags,
+      practicePresets,
+      activeSession,
+    };
+    const previous = savedProgress.current;
+    savedProgress.current = progress;
+    const changed = Object.keys(progress).filter(key => !previous || previous[key] !== progress[key]);
+    if (changed.length === 0) return;
+    const values = Object.fromEntries(changed.map(key => [key, progress[key] instanceof Set ? [...progress[key]] : progress[key]]));
+    progressStorage.save(values).catch(error => {
+      console.error('Failed to save progress:', error);
+      setStorageError(error);
+    });
+  }, [storageReady, sessionHistory, domainPerformance, questionPerformance, bookmarkedQuestions, incorrectlyAnswered, examDate, studyPlan, questionBanks, activeBankId, questionCalibration, questionTags, practicePresets, activeSession]);
 
   // --- Timer for exam mode ---
+  // The engine works out the remaining time from each tick and submits the
+  // exam itself when it runs out.
+  const sessionActive = session.phase === 'answering' || session.phase === 'reviewing';
+  const timerRunning = sessionActive && Boolean(session.timer) && session.timer.pausedAt === null;
   useEffect(() => {
-    let timer;
-    if (currentMode === 'exam' && examStartTime) {
-      timer = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - examStartTime) / 1000);
-        const remaining = examDuration - elapsed;
-        if (remaining <= 0) {
-          handleSubmit();
-        } else {
-          setTimeRemaining(remaining);
-        }
-      }, 1000);
-    }
+    if (!timerRunning) return;
+    const timer = setInterval(() => dispatch({ type: 'tick', now: Date.now() }), 1000);
     return () => clearInterval(timer);
-  }, [currentMode, examStartTime, examDuration]);
+  }, [timerRunning]);
 
-  // --- Timer for question in practice mode ---
+  // --- Checkpoint the in-progress session ---
+  // Written after every answer, navigation and pause, and every 30s of exam
+  // time, so a closed tab or trip to the dashboard can be resumed.
+  const checkpointed = useRef(null);
   useEffect(() => {
-    if (currentMode.startsWith('practice') && questions[currentQuestion]) {
-      setQuestionStartTime(Date.now());
+    if (!sessionActive) {
+      checkpointed.current = null;
+      return;
     }
-    return () => {
-      if (currentMode.startsWith('practice') && questions[currentQuestion]) {
-        const timeSpent = Math.round((Date.now() - questionStartTime) / 1000);
-        setQuestionTimes(prev => ({
-          ...prev,
-          [questions[currentQuestion].id]: (prev[questions[currentQuestion].id] || 0) + timeSpent
-        }));
-      }
-    };
-  }, [currentQuestion, currentMode, questions]);
-
-  const resetSession = () => {
-    setCurrentQuestion(0);
-    setSelectedAnswers({});
-    setQuestionTimes({});
-    setSessionStartTime(Date.now());
-    // Reset current difficulty for adaptive mode
-    setCurrentDifficulty(3);
-  };
+    if (checkpointed.current && !isCheckpointDue(checkpointed.current, session)) return;
+    checkpointed.current = session;
+    setActiveSession(toCheckpoint(session, Date.now()));
+  }, [sessionActive, session]);
+
+  // --- Record finished sessions ---
+  // Submitting, finishing the last practice question and the exam clock
+  // running out all end in the engine's 'finished' phase.
+  useEffect(() => {
+    if (session.phase !== 'finished') return;
+    const results = session.result;
+    setSessionHistory(prev => [results, ...prev]);
+    setDomainPerformance(prev => applyDomainBreakdown(prev, results.domainBreakdown));
+    setActiveSession(null);
+    setLastSessionResults(results);
+    setCurrentMode('results');
+    dispatch({ type: 'close' });
+  }, [session.phase, session.result]);
 
-  // --- Enhancement: Adaptive Question Selection Algorithm ---
-  const selectAdaptiveQuestions = (numQuestions, domainFilter = 'all') => {
-    let pool = domainFilter === 'all' ? [...allQuestions] : allQuestions.filter(q => q.domain === domainFilter);
-
-    if (pool.length === 0) return [];
-
-    // --- 1. Smart Question Selection ---
-    // Weight questions based on domain weakness and individual question performance
-    const weightedPool = pool.map(q => {
-      let weight = 1.0;
-
-      // Weigh by Domain Performance
-      const domainStats = domainPerformance[q.domain] || { correct: 0, total: 0 };
-      const domainAccuracy = domainStats.total > 0 ? domainStats.correct / domainStats.total : 1.0;
-      // Lower domain accuracy increases weight (e.g., 1 - 0.8 = 0.2 vs 1 - 0.2 = 0.8)
-      weight *= (1 - domainAccuracy) + 0.5; // Add 0.5 to ensure even strong domains have some chance
-
-      // Weigh by Individual Question Performance
-      const qStats = questionPerformance[q.id] || { correctCount: 0, totalCount: 0 };
-      if (qStats.totalCount > 0) {
-        const qAccuracy = qStats.correctCount / qStats.totalCount;
-        // Lower question accuracy increases weight
-        weight *= (1 - qAccuracy) + 0.3; // Add 0.3 to ensure recently correct questions still appear
-      }
+  const updateSessionSettings = (changes) => {
+    setSessionSettings(prev => ({ ...prev, ...changes }));
+  };
 
-      // Optional: Weigh by Difficulty (if you want to target specific difficulty ranges more)
-      // Example: Slightly prefer medium difficulty if no strong signal
-      // weight *= 1 / (1 + Math.abs(q.difficulty - 3) * 0.1);
+  // --- Resume / Abandon Checkpointed Session ---
+  const resumeSession = () => {
+    const resumedQuestions = restoreQuestions(activeSession, allQuestions);
+    if (resumedQuestions.length === 0) {
+      alert("The questions from this session are no longer in the active bank.");
+      return;
+    }
+    dispatch({ type: 'resume', checkpoint: activeSession, questions: resumedQuestions, now: Date.now() });
+    setCurrentMode('session');
+  };
 
-      return { ...q, weight };
-    });
+  // Records the checkpointed session as incomplete so it still shows in history.
+  const abandonSession = () => {
+    if (!activeSession) return;
+    const record = recordAbandonedSession(activeSession, allQuestions, Date.now());
+    if (record) recordSession(record);
+    setActiveSession(null);
+  };
 
-    // Sort by weight descending (higher weight = higher priority)
-    weightedPool.sort((a, b) => b.weight - a.weight);
+  // Leaving mid-session keeps its checkpoint for the dashboard's resume card.
+  const leaveSession = () => {
+    setActiveSession(toCheckpoint(session, Date.now()));
+    dispatch({ type: 'close' });
+    setCurrentMode('analytics');
+  };
 
-    // --- 2. Difficulty Adjustment (Initial) ---
-    // Start with a mix or a difficulty based on overall performance?
-    // For simplicity, we'll start with the weighted selection, then adjust during the session.
-    // You could also modify the initial selection based on recent difficulty performance.
+  // Starting a session records any unfinished one as incomplete, so every
+  // start path asks first.
+  const confirmReplaceSession = () => !activeSession || window.confirm(
+    `You have an unfinished ${activeSession.mode === 'exam' ? 'exam' : 'practice session'} `
+    + `(${Object.keys(activeSession.selectedAnswers).length} of ${activeSession.questionIds.length} answered). `
+    + 'Starting a new session records it as incomplete.\n\nStart anyway? Cancel keeps it so you can resume it.'
+  );
 
-    // Select top N weighted questions
-    return weightedPool.slice(0, numQuestions).map(q => ({...q})); // Return a copy without the weight property
+  // Returns whether the session started.
+  const startSession = ({ mode, questions, seed, timer = null }) => {
+    if (!confirmReplaceSession()) return false;
+    abandonSession();
+    dispatch({
+      type: 'start',
+      mode,
+      questions: prepareSessionQuestions(questions, seed, sessionSettings.optionShuffle),
+      seed,
+      // Review modes practise a chosen set, so only a drawn practice session adapts
+      adaptive: mode === 'practice' && sessionSettings.adaptive,
+      timer,
+      now: Date.now(),
+    });
+    updateSessionSettings({ seed: '' });
+    setCurrentMode('session');
+    return true;
   };
 
-  const startPracticeMode = (practiceQuestions, mode = 'practice') => {
+  // A seed typed on the setup screen replays that session; otherwise a fresh one is drawn.
+  const startPracticeMode = (practiceQuestions, mode = 'practice', seed = sessionSettings.seed.trim() || createSeed()) => {
     let questionsToSet;
     if (mode === 'practice') {
         // --- Adaptive Logic ---
-        if (adaptivePracticeMode) {
-            questionsToSet = selectAdaptiveQuestions(numberOfQuestions, selectedDomain === 'all' ? 'all' : selectedDomain);
+        if (sessionSettings.adaptive) {
+            const pool = allQuestions.filter(q => matchesTaxonomyFilter(q, taxonomyFilter));
+            questionsToSet = selectAdaptiveQuestions(pool, sessionSettings.practiceCount, { domainPerformance, questionPerformance });
         } else {
-            let filtered = selectedDomain === 'all' ? [...allQuestions] : allQuestions.filter(q => q.domain === selectedDomain);
-            questionsToSet = filtered.sort(() => 0.5 - Math.random()).slice(0, numberOfQuestions);
+            questionsToSet = drawPracticeQuestions(allQuestions, taxonomyFilter, sessionSettings.practiceCount, createRng(seed));
         }
     } else {
       questionsToSet = practiceQuestions;
     }
     if (!questionsToSet || questionsToSet.length === 0) {
       alert("No questions available for this mode.");
-      return;
+      return false;
     }
-    setQuestions(questionsToSet);
-    setCurrentMode(mode);
-    resetSession();
+    return startSession({ mode, questions: questionsToSet, seed });
   };
 
   const startExamMode = () => {
-    // ... (Existing exam mode logic remains largely the same) ...
-    const questionsByDomain = allQuestions.reduce((acc, q) => {
-      const domainKey = q.domain.replace(/ /g, '');
-      acc[domainKey] = acc[domainKey] || [];
-      acc[domainKey].push(q);
-      return acc;
-    }, {});
-    let examQuestions = [];
-    for (const domain in CISA_DOMAIN_WEIGHTS) {
-      const domainKey = domain.replace(/ /g, '');
-      if (questionsByDomain[domainKey]) {
-        const count = Math.round(examQuestionCount * CISA_DOMAIN_WEIGHTS[domain]);
-        examQuestions.push(...questionsByDomain[domainKey].sort(() => 0.5 - Math.random()).slice(0, count));
-      }
-    }
-    while (examQuestions.length < examQuestionCount && allQuestions.length > examQuestions.length) {
-      const randomQ = allQuestions[Math.floor(Math.random() * allQuestions.length)];
-      if (!examQuestions.find(q => q.id === randomQ.id)) {
-        examQuestions.push(randomQ);
-      }
-    }
-    examQuestions = examQuestions.slice(0, examQuestionCount);
-    if (examQuestions.length < examQuestionCount) {
-      alert(`Warning: Not enough questions to create a full ${examQuestionCount}-question exam. The exam will have ${examQuestions.length} questions.`);
+    const { examCount, timerMode, timeExtension } = sessionSettings;
+    const seed = sessionSettings.seed.trim() || createSeed();
+    const examQuestions = drawExamQuestions(allQuestions, examCount, createRng(seed));
+    if (examQuestions.length < examCount) {
+      alert(`Warning: Not enough questions to create a full ${examCount}-question exam. The exam will have ${examQuestions.length} questions.`);
     }
-    const duration = Math.round((examQuestionCount / 150) * 240) * 60;
-    setExamDuration(duration);
-    setTimeRemaining(duration);
-    setQuestions(examQuestions.sort(() => 0.5 - Math.random()));
-    setCurrentMode('exam');
-    resetSession();
-    setExamStartTime(Date.now());
+    startSession({
+      mode: 'exam',
+      questions: examQuestions,
+      seed,
+      timer: { mode: timerMode, extension: timeExtension, durationSeconds: getExamDurationSeconds(examCount, timeExtension) },
+    });
   };
 
-
-  const handleAnswerSelect = (questionId, answerIndex) => {
-    setSelectedAnswers(prev => ({ ...prev, [questionId]: answerIndex }));
-    if (currentMode.startsWith('practice')) {
-      const currentQ = questions[currentQuestion];
+  const handleAnswerSelect = (answerIndex) => {
+    const now = Date.now();
+    const currentQ = getCurrentQuestion(session);
+    // Practice answers are final, so only the first one is graded
+    if (isPracticeMode(session.mode) && session.answers[currentQ.id] === undefined) {
+      const questionId = currentQ.id;
       const isCorrect = currentQ.correctAnswer === answerIndex;
+      const timeSpent = getClockSeconds(session, now);
 
-      // --- Enhancement: Update Question Performance ---
+      // --- Enhancement: Update Question Performance & Review Schedule ---
       setQuestionPerformance(prev => {
         const updated = { ...prev };
-        const qStats = updated[questionId] || { correctCount: 0, totalCount: 0, lastCorrect: false };
+        const qStats = { ...(updated[questionId] || { correctCount: 0, totalCount: 0, lastCorrect: false }) };
         qStats.totalCount += 1;
         if (isCorrect) qStats.correctCount += 1;
         qStats.lastCorrect = isCorrect;
-        updated[questionId] = qStats;
+        updated[questionId] = { ...qStats, ...scheduleReview(qStats, gradeAnswer(isCorrect, timeSpent)) };
         return updated;
       });
 
       // Update incorrectly answered set
       if (!isCorrect) setIncorrectlyAnswered(prev => new Set(prev).add(questionId));
-
-      const timeSpent = Math.round((Date.now() - questionStartTime) / 1000);
-      setQuestionTimes(prev => ({
-        ...prev,
-        [questionId]: (prev[questionId] || 0) + timeSpent
-      }));
     }
+    dispatch({ type: 'answer', answerIndex, now });
   };
 
+  // Adaptive practice may swap the upcoming question for one from the whole bank.
   const handleNextQuestion = () => {
-    if (currentMode.startsWith('practice') && adaptivePracticeMode) {
-        // --- Enhancement: Difficulty Adjustment Logic ---
-        const currentQ = questions[currentQuestion];
-        const wasCorrect = selectedAnswers[currentQ.id] === currentQ.correctAnswer;
-        let nextDifficulty = currentDifficulty;
-
-        // Simple Streak-Based Adjustment (can be made more sophisticated)
-        // Assuming we track a recent performance streak (simplified here)
-        // A more robust way is to look at the last N answers
-        const recentAnswers = Object.entries(selectedAnswers).slice(-3).map(([id, answer]) => {
-            const q = questions.find(q => q.id == id); // Find question in current session
-            return q ? answer === q.correctAnswer : null;
-        }).filter(res => res !== null);
-
-        const correctStreak = recentAnswers.filter(res => res === true).length;
-        const incorrectStreak = recentAnswers.filter(res => res === false).length;
-
-        if (correctStreak >= 2) {
-            // Increase difficulty if 2+ correct in a row
-            nextDifficulty = Math.min(5, currentDifficulty + 1);
-        } else if (incorrectStreak >= 2) {
-             // Decrease difficulty if 2+ incorrect in a row
-            nextDifficulty = Math.max(1, currentDifficulty - 1);
-        }
-        // If streak is 1-1 or 0-0, difficulty stays the same
-
-        setCurrentDifficulty(nextDifficulty);
-
-        // Select next question based on new difficulty and domain weakness
-        // This is a simplified approach. A more advanced one might pre-select a few questions.
-        const nextQIndex = currentQuestion + 1;
-        if (nextQIndex < questions.length) {
-             // For demo, we'll just find the next question in the pool that matches the difficulty and domain
-             // A better way would be to have a pre-selected adaptive sequence
-             const pool = allQuestions.filter(q => q.domain === currentQ.domain);
-             const suitableQuestions = pool.filter(q => q.difficulty === nextDifficulty && !questions.some(sq => sq.id === q.id));
-             if (suitableQuestions.length > 0) {
-                 const nextQ = suitableQuestions[Math.floor(Math.random() * suitableQuestions.length)];
-                 // This requires modifying the `questions` state dynamically, which is complex.
-                 // For simplicity in this integration, we'll keep the original sequence but note the intended difficulty.
-                 // A full implementation would likely require a more dynamic question queue management.
-                 console.log(`Intended Difficulty for Q${nextQIndex + 1}: ${nextDifficulty}`);
-             } else {
-                 // Fallback: pick any from domain if no matching difficulty
-                 const fallbackQuestions = pool.filter(q => !questions.some(sq => sq.id === q.id));
-                 if (fallbackQuestions.length > 0) {
-                     console.log(`Fallback Difficulty for Q${nextQIndex + 1}: ${nextDifficulty} (no exact match)`);
-                 }
-             }
-        }
-    }
-
-    if (currentQuestion < questions.length - 1) {
-      setCurrentQuestion(currentQuestion + 1);
-    } else {
+    if (isPracticeMode(session.mode) && session.currentIndex === session.questions.length - 1) {
       handleSubmit();
+    } else {
+      dispatch({ type: 'next', pool: allQuestions, now: Date.now() });
     }
   };
 
   const handlePreviousQuestion = () => {
-    if (currentQuestion > 0) setCurrentQuestion(currentQuestion - 1);
+    dispatch({ type: 'previous', now: Date.now() });
   };
 
   const toggleBookmark = (questionId) => {
@@ -385,85 +384,165 @@ const CISAPracticeApp = () => {
     });
   };
 
+  const toggleFlag = (questionId) => {
+    dispatch({ type: 'toggle-flag', questionId });
+  };
+
+  const togglePause = () => {
+    dispatch({ type: 'toggle-pause', now: Date.now() });
+  };
+
+  const jumpToQuestion = (index) => {
+    dispatch({ type: 'jump', index, now: Date.now() });
+  };
+
   const toggleDarkMode = () => {
     setIsDarkMode(prev => !prev);
   };
 
+  // Asks before submitting with blanks; the exam timer submits unconditionally.
   const handleSubmit = () => {
-    const results = recordSession();
-    setLastSessionResults(results);
-    setCurrentMode('results');
+    const unanswered = session.questions.filter(q => session.answers[q.id] === undefined).length;
+    if (unanswered > 0 &&
+        !window.confirm(`You have ${unanswered} unanswered question${unanswered === 1 ? '' : 's'}. Unanswered questions are scored as incorrect. Submit anyway?`)) {
+      return;
+    }
+    dispatch({ type: 'submit', now: Date.now() });
   };
 
-  const recordSession = () => {
-    const score = calculateScore();
-    const timeSpent = sessionStartTime ? Math.round((Date.now() - sessionStartTime) / 60000) : 0;
-    const domainBreakdown = questions.reduce((acc, q) => {
-      acc[q.domain] = acc[q.domain] || { correct: 0, total: 0 };
-      acc[q.domain].total++;
-      if (selectedAnswers[q.id] === q.correctAnswer) acc[q.domain].correct++;
-      return acc;
-    }, {});
-    const sessionData = {
-      id: Date.now(),
-      date: new Date().toISOString(),
-      mode: currentMode,
-      totalQuestions: questions.length,
-      correctAnswers: score.correct,
-      percentage: score.percentage,
-      timeSpent,
-      domainBreakdown,
-      questionTimes: { ...questionTimes }
-    };
+  const recordSession = (sessionData) => {
     setSessionHistory(prev => [sessionData, ...prev]);
-    setDomainPerformance(prev => {
-      const updated = { ...prev };
-      for (const domain in domainBreakdown) {
-        if (!updated[domain]) updated[domain] = { correct: 0, total: 0 };
-        updated[domain].correct += domainBreakdown[domain].correct;
-        updated[domain].total += domainBreakdown[domain].total;
-      }
-      return updated;
-    });
-    return sessionData;
+    setDomainPerformance(prev => applyDomainBreakdown(prev, sessionData.domainBreakdown));
+  };
+
+  // --- Session History Management ---
+  const openHistory = (sessionId = null) => {
+    setHistorySessionId(sessionId);
+    setCurrentMode('history');
   };
 
-  const calculateScore = () => {
-    const correct = questions.filter(q => selectedAnswers[q.id] === q.correctAnswer).length;
-    const total = questions.length;
-    return { correct, total, percentage: total > 0 ? Math.round((correct / total) * 100) : 0 };
+  // Also backs the session's answers out of the cumulative domain stats.
+  const deleteSession = (sessionId) => {
+    const record = sessionHistory.find(s => s.id === sessionId);
+    if (!record) return;
+    setSessionHistory(prev => prev.filter(s => s.id !== sessionId));
+    setDomainPerformance(prev => applyDomainBreakdown(prev, record.domainBreakdown, -1));
+    if (lastSessionResults && lastSessionResults.id === sessionId) setLastSessionResults(null);
   };
 
-  const calculatePassingProbability = (percentage) => {
-    if (percentage < 50) return "Low";
-    if (percentage < 65) return "Moderate";
-    if (percentage < 75) return "High";
-    return "Very High";
+  const annotateSession = (sessionId, note) => {
+    setSessionHistory(prev => prev.map(s => (s.id === sessionId ? { ...s, note } : s)));
   };
 
-  const formatTime = (seconds) => {
-    const h = Math.floor(seconds / 3600).toString().padStart(2, '0');
-    const m = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
-    const s = (seconds % 60).toString().padStart(2, '0');
-    return `${h}:${m}:${s}`;
+  // --- Custom Practice Sets ---
+  const getPracticeSetContext = () => ({
+    questionPerformance,
+    bookmarked: bookmarkedQuestions,
+    slowIds: getSlowQuestionIds(sessionHistory),
+    now: Date.now(),
+  });
+
+  const openPracticeBuilder = (presetId = null) => {
+    setEditingPresetId(presetId);
+    setCurrentMode('builder');
   };
 
-  const getOverallStats = () => {
-    if (sessionHistory.length === 0) return { averageScore: 0, totalSessions: 0, totalQuestions: 0 };
-    const totalQuestions = sessionHistory.reduce((sum, s) => sum + s.totalQuestions, 0);
-    const averageScore = sessionHistory.reduce((sum, s) => sum + s.percentage, 0) / sessionHistory.length;
-    return { averageScore: Math.round(averageScore), totalSessions: sessionHistory.length, totalQuestions };
+  const startPracticeSet = (config) => {
+    const seed = createSeed();
+    return startPracticeMode(buildPracticeSet(allQuestions, config, getPracticeSetContext(), createRng(seed)), 'practice-custom', seed);
   };
 
-  const getDomainChartData = () => Object.entries(domainPerformance).map(([domain, stats]) => ({
-    domain,
-    percentage: stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0
-  }));
+  // Saving from an edited preset replaces it; otherwise a new preset is added.
+  const savePracticePreset = (name, config) => {
+    if (editingPresetId) {
+      setPracticePresets(prev => prev.map(p => (p.id === editingPresetId ? { ...p, name: name.trim(), config } : p)));
+    } else {
+      setPracticePresets(prev => [...prev, createPreset(name, config)]);
+    }
+    setCurrentMode('analytics');
+  };
 
-  const getProgressChartData = () => sessionHistory.slice().reverse().map((session, index) => ({
-    session: `S${index + 1}`,
-    score: session.percentage
-  }));
+  const deletePracticePreset = (presetId) => {
+    const preset = practicePresets.find(p => p.id === presetId);
+    if (!preset || !window.confirm(`Delete the practice set "${preset.name}"?`)) return;
+    setPracticePresets(prev => prev.filter(p => p.id !== presetId));
+  };
+
+  // Falls back to a prompt where the clipboard isn't available (e.g. plain http).
+  const copyLink = (mode, params) => {
+    const url = buildUrl(mode, params);
+    if (!navigator.clipboard) {
+      window.prompt("Copy this link:", url);
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => alert("Link copied to clipboard."))
+      .catch(() => window.prompt("Copy this link:", url));
+  };
+
+  // --- CSV Export ---
+  const exportSessionsCsv = () => {
+    const stamp = new Date().toISOString().split('T')[0];
+    downloadCsv(`cisa-sessions-${stamp}.csv`, buildSessionHistoryCsv(sessionHistory));
+  };
+
+  const exportQuestionsCsv = () => {
+    const stamp = new Date().toISOString().split('T')[0];
+    downloadCsv(`cisa-questions-${stamp}.csv`, buildQuestionCsv(sessionHistory, questionPerformance, allQuestions));
+  };
+
+  // --- PDF Report ---
+  // Falls back to the most recent recorded session when opened from the dashboard.
+  const exportReport = () => {
+    const session = lastSessionResults || sessionHistory[0] || null;
+    printReport(buildReportHtml({
+      stats: getOverallStats(sessionHistory),
+      progressData: getProgressChartData(sessionHistory),
+      domainData: getDomainChartData(domainPerformance),
+      session,
+      missedQuestions: getMissedQuestions(session, allQuestions),
+    }));
+  };
+
+  // --- Question Bank Management ---
+  const saveQuestionBank = (bank) => {
+    setQuestionBanks(prev => [...prev, bank]);
+    setActiveBankId(bank.id);
+    updateSessionSettings({ domain: 'all', subdomain: 'all', topic: 'all' });
+  };
+
+  const deleteQuestionBank = (bankId) => {
+    setQuestionBanks(prev => prev.filter(b => b.id !== bankId));
+    if (activeBankId === bankId) setActiveBankId('builtin');
+  };
+
+  const selectQuestionBank = (bankId) => {
+    setActiveBankId(bankId);
+    updateSessionSettings({ domain: 'all', subdomain: 'all', topic: 'all' });
+  };
+
+  // --- Difficulty Calibration ---
+  const applyCalibration = (results) => {
+    setQuestionCalibration(prev => ({ ...prev, ...results }));
+  };
+
+  const resetCalibration = () => {
+    const bankIds = new Set(allQuestions.map(q => q.id));
+    setQuestionCalibration(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !bankIds.has(id))));
+  };
+
+  // `updates` maps question IDs to { subdomain, topic }, or null to drop the
+  // saved tag and fall back to the bank column / auto-tagger.
+  const updateQuestionTags = (updates) => {
+    setQuestionTags(prev => {
+      const updated = { ...prev };
+      Object.entries(updates).forEach(([id, tag]) => {
+        if (tag) updated[id] = tag;
+        else delete updated[id];
+      });
+      return updated;
+    });
+  };
 
   // --- Enhancement: Generate Personalized Study Plan ---
   const generateStudyPlan = () => {
@@ -494,6 +573,14 @@ const CISAPracticeApp = () => {
       .filter(([domain, stats]) => stats.total > 0 && (stats.correct / stats.total) >= 0.8) // >= 80% accuracy
       .map(([domain, stats]) => domain);
 
+    // Weak topics name something concrete to study; weak domains are the fallback
+    const weakTopics = aggregateByTaxonomy(allQuestions, questionPerformance, 'topic')
+      .filter(t => t.label !== 'Untagged' && t.total >= 3 && t.accuracy < 70)
+      .slice(0, 3)
+      .map(t => t.label);
+    const weakAreas = weakTopics.length > 0 ? weakTopics : weakDomains;
+    const weakLabel = weakTopics.length > 0 ? 'topics' : 'domains';
+
     // Distribute questions and focus
     for (let i = 0; i < daysUntilExam; i++) {
       const date = new Date();
@@ -509,14 +596,14 @@ const CISAPracticeApp = () => {
       } else if (isReviewDay) {
         tasks.push("Review incorrect answers and explanations");
         tasks.push("Focus on bookmarked questions");
-        if (weakDomains.length > 0) {
-            tasks.push(`Target weak domains: ${weakDomains.join(', ')}`);
+        if (weakAreas.length > 0) {
+            tasks.push(`Target weak ${weakLabel}: ${weakAreas.join(', ')}`);
         }
       } else {
         tasks.push(`Practice ${avgQuestionsPerDay} questions`);
         // Alternate focus based on progress or cycle through domains
-        if (weakDomains.length > 0 && i % 2 === 0) {
-            tasks.push(`Focus on weak domains: ${weakDomains.join(', ')}`);
+        if (weakAreas.length > 0 && i % 2 === 0) {
+            tasks.push(`Focus on weak ${weakLabel}: ${weakAreas.join(', ')}`);
         } else if (strongDomains.length > 0 && i % 3 === 0) {
              tasks.push(`Quick review of strong domains: ${strongDomains.join(', ')}`);
         } else {
@@ -533,722 +620,339 @@ const CISAPracticeApp = () => {
     alert("Study plan generated!");
   };
 
+  // --- URL Routing ---
+  // The URL follows the current screen (see lib/routes.js). Opening the app at
+  // a URL, or moving through browser history, applies that URL's route; the
+  // resulting screen's path is then pushed, or replaced when the route was
+  // redirected or started a session, so back never replays a shared link.
+  const [routeSync, setRouteSync] = useState(0); // Bumped per applied route; 0 until the first
+  const replaceRouteRef = useRef(false);
+  const routePath = buildPath(currentMode, {
+    sessionId: currentMode === 'history' ? historySessionId : lastSessionResults && lastSessionResults.id,
+    presetId: editingPresetId,
+  });
+
+  const applyRoute = ({ mode, params }) => {
+    replaceRouteRef.current = true;
+    setRouteSync(prev => prev + 1);
+    const sessionRunning = session.phase === 'answering' || session.phase === 'reviewing';
+    if (mode === 'session') {
+      if (sessionRunning) setCurrentMode('session');
+      else if (activeSession) resumeSession();
+      else setCurrentMode('analytics');
+      return;
+    }
+    if (START_LINK_MODES.includes(mode)) {
+      applyStartLink({ mode, params }, sessionRunning);
+      return;
+    }
+    // Going back out of a session keeps it resumable, like the home button
+    if (sessionRunning) leaveSession();
+    switch (mode) {
+      case 'results':
+      case 'session-review': {
+        const record = sessionHistory.find(s => String(s.id) === params.sessionId);
+        setLastSessionResults(record || null);
+        setCurrentMode(record ? mode : 'analytics');
+        break;
+      }
+      case 'history': {
+        const record = sessionHistory.find(s => String(s.id) === params.sessionId);
+        openHistory(record ? record.id : null);
+        break;
+      }
+      case 'builder':
+        openPracticeBuilder(practicePresets.some(p => p.id === params.presetId) ? params.presetId : null);
+        break;
+      default:
+        setCurrentMode(mode);
+    }
+  };
+
+  // Declining to replace an unfinished session (see startSession) goes back to
+  // it, or to its resume card on the dashboard.
+  const applyStartLink = ({ mode, params }, sessionRunning) => {
+    let start = null;
+    if (mode === 'question') {
+      const question = allQuestions.find(q => q.id === params.questionId);
+      if (question) start = () => startPracticeMode([question], 'practice-question');
+      else alert("That question isn't in the active question bank.");
+    } else {
+      const preset = practicePresets.find(p => p.id === params.presetId);
+      const config = mode === 'preset' ? preset && preset.config : parseSetConfig(params.config);
+      if (config) start = () => startPracticeSet(config);
+      else alert("That practice set link is no longer valid.");
+    }
+    if (!start || !start()) setCurrentMode(sessionRunning ? 'session' : 'analytics');
+  };
+
+  // Listeners registered once call the latest applyRoute through this ref.
+  const applyRouteRef = useRef(applyRoute);
+  useEffect(() => {
+    applyRouteRef.current = applyRoute;
+  });
+
+  useEffect(() => {
+    if (!storageReady) return;
+    applyRouteRef.current(parseLocation(window.location));
+    const handlePopState = () => applyRouteRef.current(parseLocation(window.location));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [storageReady]);
+
+  useEffect(() => {
+    if (routeSync === 0) return;
+    const replace = replaceRouteRef.current;
+    replaceRouteRef.current = false;
+    if (window.location.pathname + window.location.search === routePath) return;
+    if (replace) window.history.replaceState(null, '', routePath);
+    else window.history.pushState(null, '', routePath);
+  }, [routeSync, routePath]);
+
+  // --- Loading saved progress ---
+  if (!storageReady) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
+        <p className="text-gray-600 dark:text-gray-300 font-medium">Loading your progress...</p>
+      </div>
+    );
+  }
+
+  // --- Question Bank Import Mode ---
+  if (currentMode === 'import') {
+    return (
+      <QuestionBankImport
+        banks={questionBanks}
+        activeBankId={activeBankId}
+        builtinCount={rawQuestionsData.length}
+        onSaveBank={saveQuestionBank}
+        onSelectBank={selectQuestionBank}
+        onDeleteBank={deleteQuestionBank}
+        onShowHealth={() => setCurrentMode('bank-health')}
+        onShowCalibration={() => setCurrentMode('calibration')}
+        onShowTagging={() => setCurrentMode('tagging')}
+        onBack={() => setCurrentMode('analytics')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  // --- Bank Health Mode ---
+  if (currentMode === 'bank-health') {
+    return (
+      <BankHealth
+        bankName={activeBank ? activeBank.name : 'CISA Official (built-in)'}
+        rows={activeBankRows}
+        onBack={() => setCurrentMode('import')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  // --- Calibration Mode ---
+  if (currentMode === 'calibration') {
+    return (
+      <Calibration
+        bankName={activeBank ? activeBank.name : 'CISA Official (built-in)'}
+        rows={activeBankRows}
+        questionPerformance={questionPerformance}
+        calibration={questionCalibration}
+        onApply={applyCalibration}
+        onReset={resetCalibration}
+        onBack={() => setCurrentMode('import')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  if (currentMode === 'search') {
+    return (
+      <Search
+        questions={allQuestions}
+        bookmarked={bookmarkedQuestions}
+        incorrect={incorrectlyAnswered}
+        onToggleBookmark={toggleBookmark}
+        onStartPractice={(results) => startPracticeMode(results, 'practice-search')}
+        onBack={() => setCurrentMode('analytics')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  if (currentMode === 'builder') {
+    return (
+      <PracticeBuilder
+        questions={allQuestions}
+        context={getPracticeSetContext()}
+        preset={practicePresets.find(p => p.id === editingPresetId) || null}
+        onSave={savePracticePreset}
+        onStart={startPracticeSet}
+        onBack={() => setCurrentMode('analytics')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  if (currentMode === 'tagging') {
+    return (
+      <Tagging
+        bankName={activeBank ? activeBank.name : 'CISA Official (built-in)'}
+        rows={activeBankRows}
+        questions={allQuestions}
+        onUpdateTags={updateQuestionTags}
+        onBack={() => setCurrentMode('import')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
   // --- Setup Mode (Enhanced) ---
   if (currentMode === 'setup' || currentMode === 'exam-setup') {
     const isExamSetup = currentMode === 'exam-setup';
-    const domainQuestionCount = selectedDomain === 'all' ? allQuestions.length : allQuestions.filter(q => q.domain === selectedDomain).length;
     return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
-        <div className="w-full max-w-2xl">
-          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
-            <div className="flex justify-between items-center mb-8">
-              <div>
-                <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
-                  {isExamSetup ? "Exam Configuration" : "Practice Setup"}
-                </h1>
-                <p className="text-gray-600 dark:text-gray-300 mt-2">Configure your session parameters</p>
-              </div>
-              <button
-                onClick={toggleDarkMode}
-                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
-              >
-                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
-              </button>
-            </div>
-            <div className="space-y-6">
-              {isExamSetup ? (
-                <div className="space-y-3">
-                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
-                    Exam Duration & Questions
-                  </label>
-                  <select
-                    value={examQuestionCount}
-                    onChange={(e) => setExamQuestionCount(Number(e.target.value))}
-                    className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
-                  >
-                    <option value={150}>150 Questions (4 hours) - Full Exam</option>
-                    <option value={100}>100 Questions (~2h 40m) - Practice Exam</option>
-                    <option value={50}>50 Questions (~1h 20m) - Quick Test</option>
-                  </select>
-                </div>
-              ) : (
-                <>
-                  {/* --- Enhancement: Adaptive Toggle --- */}
-                  <div className="flex items-center justify-between p-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
-                    <div>
-                      <div className="font-semibold text-gray-800 dark:text-gray-200">Adaptive Practice</div>
-                      <div className="text-sm text-gray-600 dark:text-gray-400">Prioritize weak areas & adjust difficulty</div>
-                    </div>
-                    <button
-                      onClick={() => setAdaptivePracticeMode(!adaptivePracticeMode)}
-                      className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none ${
-                        adaptivePracticeMode ? 'bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'
-                      }`}
-                    >
-                      <span
-                        className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                          adaptivePracticeMode ? 'translate-x-6' : 'translate-x-1'
-                        }`}
-                      />
-                    </button>
-                  </div>
-
-                  <div className="space-y-3">
-                    <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
-                      Knowledge Domain
-                    </label>
-                    <select
-                      value={selectedDomain}
-                      onChange={(e) => setSelectedDomain(e.target.value)}
-                      className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
-                    >
-                      <option value="all">All Domains ({allQuestions.length} questions)</option>
-                      {availableDomains.map(d => (
-                        <option key={d} value={d}>{d} ({allQuestions.filter(q => q.domain === d).length} questions)</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="space-y-3">
-                    <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
-                      Number of Questions: {numberOfQuestions}
-                    </label>
-                    <div className="space-y-3">
-                      <input
-                        type="range"
-                        min="1"
-                        max={domainQuestionCount}
-                        value={numberOfQuestions}
-                        onChange={(e) => setNumberOfQuestions(parseInt(e.target.value))}
-                        className="w-full h-2 bg-gray-200 dark:bg-gray-600 rounded-lg appearance-none cursor-pointer slider"
-                      />
-                      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
-                        <span>1</span>
-                        <span className="font-medium text-blue-600 dark:text-blue-400">{numberOfQuestions}</span>
-                        <span>{domainQuestionCount}</span>
-                      </div>
-                    </div>
-                  </div>
-                </>
-              )}
-            </div>
-            <div className="flex gap-4 mt-8">
-              <button
-                onClick={() => setCurrentMode('analytics')}
-                className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
-              >
-                Back to Dashboard
-              </button>
-              <button
-                onClick={isExamSetup ? startExamMode : () => startPracticeMode(null, 'practice')}
-                className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
-              >
-                <Play className="w-5 h-5" />
-                {isExamSetup ? 'Start Exam' : 'Start Practice'}
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
+      <SessionSetup
+        isExam={isExamSetup}
+        settings={sessionSettings}
+        questions={allQuestions}
+        domains={availableDomains}
+        onUpdate={updateSessionSettings}
+        onStart={isExamSetup ? startExamMode : () => startPracticeMode(null, 'practice')}
+        onOpenBuilder={() => openPracticeBuilder()}
+        onBack={() => setCurrentMode('analytics')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
     );
   }
 
   // --- Analytics/Dashboard Mode (Enhanced) ---
   if (currentMode === 'analytics') {
-    const stats = getOverallStats();
-    const domainData = getDomainChartData();
-    const progressData = getProgressChartData();
-    const incorrectToReview = allQuestions.filter(q => incorrectlyAnswered.has(q.id));
-    const bookmarkedToReview = allQuestions.filter(q => bookmarkedQuestions.has(q.id));
     return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900">
-        <div className="max-w-7xl mx-auto p-4 lg:p-8 pb-32">
-          {/* Header */}
-          <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center mb-8 gap-4">
-            <div>
-              <h1 className="text-4xl lg:text-5xl font-bold bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600 bg-clip-text text-transparent">
-                CISA Performance Dashboard
-              </h1>
-              <p className="text-gray-600 dark:text-gray-300 mt-2 text-lg">
-                Track your progress and master the CISA certification
-              </p>
-            </div>
-            <button
-              onClick={toggleDarkMode}
-              className="p-3 rounded-full bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm hover:bg-white/70 dark:hover:bg-gray-700/70 transition-all duration-200 hover:scale-105 shadow-lg"
-            >
-              {isDarkMode ? <Sun className="w-6 h-6 text-yellow-500" /> : <Moon className="w-6 h-6 text-gray-600" />}
-            </button>
-          </div>
-
-          {/* --- Enhancement: Study Plan Section --- */}
-          <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6 mb-8">
-            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
-              <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
-                <Calendar className="w-5 h-5 text-blue-500" />
-                Personalized Study Plan
-              </h3>
-              <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
-                <input
-                  type="date"
-                  value={examDate || ""}
-                  onChange={(e) => setExamDate(e.target.value)}
-                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <button
-                  onClick={generateStudyPlan}
-                  className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center justify-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg whitespace-nowrap"
-                >
-                  <Target className="w-4 h-4" /> Generate Plan
-                </button>
-              </div>
-            </div>
-
-            {studyPlan.length > 0 ? (
-              <div className="overflow-x-auto rounded-xl max-h-96 overflow-y-auto">
-                <table className="w-full text-sm">
-                  <thead className="sticky top-0 bg-white/80 dark:bg-gray-800/80 z-10">
-                    <tr className="bg-gray-50/80 dark:bg-gray-700/50 backdrop-blur-sm">
-                      <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tl-lg">Date</th>
-                      <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tr-lg">Tasks</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {studyPlan.map((day, index) => (
-                      <tr key={index} className="border-t border-gray-100 dark:border-gray-600/30 hover:bg-gray-50/50 dark:hover:bg-gray-700/30 transition-colors">
-                        <td className="p-3 font-medium text-gray-800 dark:text-gray-200 whitespace-nowrap">{day.date}</td>
-                        <td className="p-3 text-gray-700 dark:text-gray-300">
-                          <ul className="list-disc pl-5 space-y-1">
-                            {day.tasks.map((task, i) => (
-                              <li key={i} className="text-sm">{task}</li>
-                            ))}
-                          </ul>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            ) : (
-              <p className="text-gray-600 dark:text-gray-400 text-center py-4">
-                Set your exam date and click "Generate Plan" to create your personalized study schedule.
-              </p>
-            )}
-          </div>
-
-          {sessionHistory.length === 0 ? (
-            <div className="text-center py-20">
-              <div className="bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm rounded-3xl p-12 shadow-xl border border-white/20 dark:border-gray-700/20 max-w-md mx-auto">
-                <BarChart3 className="mx-auto h-20 w-20 text-blue-400 mb-6" />
-                <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100 mb-2">Welcome to CISA Practice!</h2>
-                <p className="text-gray-600 dark:text-gray-300 mb-6">Start your first session to see your progress and analytics here.</p>
-                <div className="w-12 h-1 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full mx-auto"></div>
-              </div>
-            </div>
-          ) : (
-            <>
-              {/* Stats Cards */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
-                  <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center mx-auto mb-4">
-                    <BarChart3 className="w-6 h-6 text-white" />
-                  </div>
-                  <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Average Score</p>
-                  <p className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
-                    {stats.averageScore}%
-                  </p>
-                </div>
-                <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
-                  <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
-                    <CheckCircle className="w-6 h-6 text-white" />
-                  </div>
-                  <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Sessions Completed</p>
-                  <p className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
-                    {stats.totalSessions}
-                  </p>
-                </div>
-                <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
-                  <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-violet-600 rounded-xl flex items-center justify-center mx-auto mb-4">
-                    <BookOpen className="w-6 h-6 text-white" />
-                  </div>
-                  <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Questions Answered</p>
-                  <p className="text-3xl font-bold bg-gradient-to-r from-purple-600 to-violet-600 bg-clip-text text-transparent">
-                    {stats.totalQuestions}
-                  </p>
-                </div>
-              </div>
-              {/* Charts */}
-              <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 mb-8">
-                <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20">
-                  <h3 className="font-bold text-lg mb-4 text-gray-800 dark:text-gray-100 flex items-center gap-2">
-                    <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
-                    Score Progress Over Time
-                  </h3>
-                  <div className="h-64">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <LineChart data={progressData}>
-                        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                        <XAxis dataKey="session" stroke="#64748b" />
-                        <YAxis domain={[0, 100]} stroke="#64748b" />
-                        <Tooltip
-                          contentStyle={{
-                            backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                            border: 'none',
-                            borderRadius: '12px',
-                            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
-                          }}
-                        />
-                        <Line
-                          type="monotone"
-                          dataKey="score"
-                          stroke="#3B82F6"
-                          strokeWidth={3}
-                          dot={{ fill: '#3B82F6', strokeWidth: 2, r: 4 }}
-                          activeDot={{ r: 6, stroke: '#3B82F6', strokeWidth: 2 }}
-                        />
-                      </LineChart>
-                    </ResponsiveContainer>
-                  </div>
-                </div>
-                <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20">
-                  <h3 className="font-bold text-lg mb-4 text-gray-800 dark:text-gray-100 flex items-center gap-2">
-                    <div className="w-2 h-2 bg-purple-500 rounded-full"></div>
-                    Domain Performance
-                  </h3>
-                  <div className="h-64">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <BarChart data={domainData} layout="vertical" margin={{ top: 5, right: 20, left: 120, bottom: 5 }}>
-                        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                        <XAxis type="number" domain={[0, 100]} stroke="#64748b" />
-                        <YAxis type="category" dataKey="domain" width={120} interval={0} stroke="#64748b" fontSize={12} />
-                        <Tooltip
-                          contentStyle={{
-                            backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                            border: 'none',
-                            borderRadius: '12px',
-                            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
-                          }}
-                        />
-                        <Bar dataKey="percentage" fill="#8B5CF6" radius={[0, 4, 4, 0]} />
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </div>
-                </div>
-              </div>
-              {/* Session History */}
-              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6">
-                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
-                  <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
-                    <div className="w-2 h-2 bg-emerald-500 rounded-full"></div>
-                    Recent Sessions
-                  </h3>
-                  <div className="flex gap-2">
-                    <button className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg">
-                      <Download className="w-4 h-4" /> Export CSV
-                    </button>
-                    <button className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg">
-                      <Download className="w-4 h-4" /> Export PDF
-                    </button>
-                  </div>
-                </div>
-                <div className="overflow-x-auto rounded-xl">
-                  <table className="w-full text-sm">
-                    <thead>
-                      <tr className="bg-gray-50/80 dark:bg-gray-700/50 backdrop-blur-sm">
-                        <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tl-lg">Date</th>
-                        <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Mode</th>
-                        <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Score</th>
-                        <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Questions</th>
-                        <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tr-lg">Time</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {sessionHistory.slice(0, 5).map((s, index) => (
-                        <tr key={s.id} className="border-t border-gray-100 dark:border-gray-600/30 hover:bg-gray-50/50 dark:hover:bg-gray-700/30 transition-colors">
-                          <td className="p-4 text-gray-800 dark:text-gray-200">{new Date(s.date).toLocaleDateString()}</td>
-                          <td className="p-4">
-                            <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200">
-                              {s.mode.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}
-                            </span>
-                          </td>
-                          <td className="p-4 font-bold text-gray-800 dark:text-gray-200">
-                            <span className={`${s.percentage >= 75 ? 'text-green-600 dark:text-green-400' : s.percentage >= 65 ? 'text-yellow-600 dark:text-yellow-400' : 'text-red-600 dark:text-red-400'}`}>
-                              {s.percentage}%
-                            </span>
-                          </td>
-                          <td className="p-4 text-gray-800 dark:text-gray-200">{s.totalQuestions}</td>
-                          <td className="p-4 text-gray-800 dark:text-gray-200">{s.timeSpent} min</td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              </div>
-            </>
-          )}
-        </div>
-        {/* Floating Action Bar */}
-        <div className="fixed bottom-0 left-0 right-0 bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border-t border-white/20 dark:border-gray-700/20 p-4">
-          <div className="max-w-7xl mx-auto grid grid-cols-2 lg:grid-cols-4 gap-3">
-            <button
-              onClick={() => setCurrentMode('setup')}
-              className="group bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg"
-            >
-              <BookOpen className="w-5 h-5 group-hover:scale-110 transition-transform" />
-              <span className="hidden sm:inline">Practice Mode</span>
-              <span className="sm:hidden">Practice</span>
-            </button>
-            <button
-              onClick={() => setCurrentMode('exam-setup')}
-              className="group bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg"
-            >
-              <Award className="w-5 h-5 group-hover:scale-110 transition-transform" />
-              <span className="hidden sm:inline">Exam Mode</span>
-              <span className="sm:hidden">Exam</span>
-            </button>
-            <button
-              onClick={() => startPracticeMode(incorrectToReview, 'practice-incorrect')}
-              disabled={incorrectToReview.length === 0}
-              className="group bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
-            >
-              <RotateCcw className="w-5 h-5 group-hover:scale-110 transition-transform" />
-              <span className="hidden lg:inline">Review Incorrect</span>
-              <span className="lg:hidden">Incorrect</span>
-              <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">({incorrectToReview.length})</span>
-            </button>
-            <button
-              onClick={() => startPracticeMode(bookmarkedToReview, 'practice-bookmarked')}
-              disabled={bookmarkedToReview.length === 0}
-              className="group bg-gradient-to-r from-yellow-500 to-amber-500 hover:from-yellow-600 hover:to-amber-600 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
-            >
-              <Bookmark className="w-5 h-5 group-hover:scale-110 transition-transform" />
-              <span className="hidden lg:inline">Review Bookmarked</span>
-              <span className="lg:hidden">Bookmarked</span>
-              <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">({bookmarkedToReview.length})</span>
-            </button>
-          </div>
-        </div>
-      </div>
+      <Dashboard
+        questions={allQuestions}
+        sessionHistory={sessionHistory}
+        domainPerformance={domainPerformance}
+        questionPerformance={questionPerformance}
+        incorrect={incorrectlyAnswered}
+        bookmarked={bookmarkedQuestions}
+        activeSession={activeSession}
+        practicePresets={practicePresets}
+        examDate={examDate}
+        studyPlan={studyPlan}
+        storageError={storageError}
+        bankLabel={activeBank ? activeBank.name : 'Question Banks'}
+        onNavigate={setCurrentMode}
+        onStartPractice={startPracticeMode}
+        onResumeSession={resumeSession}
+        onDiscardSession={abandonSession}
+        onOpenBuilder={openPracticeBuilder}
+        onStartPreset={startPracticeSet}
+        onSharePreset={(config) => copyLink('shared-set', { config })}
+        onDeletePreset={deletePracticePreset}
+        onExamDateChange={setExamDate}
+        onGenerateStudyPlan={generateStudyPlan}
+        onOpenHistory={openHistory}
+        onExportSessions={exportSessionsCsv}
+        onExportQuestions={exportQuestionsCsv}
+        onExportReport={exportReport}
+        onDismissStorageError={() => setStorageError(null)}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
     );
   }
 
   // --- Results Mode ---
   if (currentMode === 'results') {
-    // ... (Existing results mode logic) ...
-    const { percentage, domainBreakdown } = lastSessionResults;
-    const probability = calculatePassingProbability(percentage);
     return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
-        <div className="w-full max-w-4xl">
-          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
-            <div className="flex justify-between items-center mb-8">
-              <div>
-                <h2 className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
-                  Session Complete!
-                </h2>
-                <p className="text-gray-600 dark:text-gray-300 mt-2">Here's how you performed</p>
-              </div>
-              <button
-                onClick={toggleDarkMode}
-                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
-              >
-                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
-              </button>
-            </div>
-            {/* Score Display */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
-              <div className="bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-blue-900/20 dark:to-indigo-900/20 rounded-2xl p-8 text-center border border-blue-200/50 dark:border-blue-800/50">
-                <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                  <BarChart3 className="w-8 h-8 text-white" />
-                </div>
-                <p className="text-5xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-2">
-                  {percentage}%
-                </p>
-                <p className="text-gray-600 dark:text-gray-300 font-medium">Overall Score</p>
-              </div>
-              <div className="bg-gradient-to-br from-green-50 to-emerald-100 dark:from-green-900/20 dark:to-emerald-900/20 rounded-2xl p-8 text-center border border-green-200/50 dark:border-green-800/50">
-                <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                  <Award className="w-8 h-8 text-white" />
-                </div>
-                <p className="text-5xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent mb-2">
-                  {probability}
-                </p>
-                <p className="text-gray-600 dark:text-gray-300 font-medium">Passing Probability</p>
-              </div>
-            </div>
-            {/* Domain Breakdown */}
-            <div className="mb-8">
-              <h3 className="font-bold text-xl mb-6 text-gray-800 dark:text-gray-100 text-center flex items-center justify-center gap-2">
-                <div className="w-3 h-3 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full"></div>
-                Domain Performance Breakdown
-              </h3>
-              <div className="space-y-4">
-                {Object.entries(domainBreakdown).map(([domain, data]) => {
-                  const domainScore = data.total > 0 ? Math.round((data.correct / data.total) * 100) : 0;
-                  const getScoreColor = (score) => {
-                    if (score >= 80) return 'from-green-500 to-emerald-500';
-                    if (score >= 70) return 'from-yellow-500 to-amber-500';
-                    if (score >= 60) return 'from-orange-500 to-red-500';
-                    return 'from-red-500 to-red-600';
-                  };
-                  return (
-                    <div key={domain} className="bg-gray-50/70 dark:bg-gray-700/70 backdrop-blur-sm rounded-xl p-4 border border-gray-200/50 dark:border-gray-600/50">
-                      <div className="flex justify-between items-center mb-3">
-                        <span className="font-medium text-gray-800 dark:text-gray-200 text-sm">{domain}</span>
-                        <div className="flex items-center gap-2">
-                          <span className="text-xs text-gray-500 dark:text-gray-400">{data.correct}/{data.total}</span>
-                          <span className="font-bold text-gray-800 dark:text-gray-200">{domainScore}%</span>
-                        </div>
-                      </div>
-                      <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-3 overflow-hidden">
-                        <div
-                          className={`h-full bg-gradient-to-r ${getScoreColor(domainScore)} rounded-full transition-all duration-500 ease-out`}
-                          style={{ width: `${domainScore}%` }}
-                        ></div>
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
-            {/* Action Buttons */}
-            <div className="flex flex-col sm:flex-row gap-4">
-              <button
-                onClick={() => setCurrentMode('analytics')}
-                className="flex-1 bg-gradient-to-r from-gray-500 to-gray-600 hover:from-gray-600 hover:to-gray-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
-              >
-                <Home className="w-5 h-5" /> Back to Dashboard
-              </button>
-              <button
-                className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
-              >
-                <Download className="w-5 h-5" /> Export Results
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
+      <Results
+        session={lastSessionResults}
+        sessionHistory={sessionHistory}
+        questions={allQuestions}
+        onHome={() => setCurrentMode('analytics')}
+        onReview={() => setCurrentMode('session-review')}
+        onExport={exportReport}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
     );
   }
 
-  // --- Question Mode (Practice/Exam) ---
-  const currentQ = questions[currentQuestion];
-  if (!currentQ) {
-    // ... (Existing question mode logic) ...
+  // --- Session History Browser ---
+  if (currentMode === 'history') {
     return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
-        <div className="text-center">
-          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl p-12 shadow-xl border border-white/20 dark:border-gray-700/20">
-            <AlertCircle className="mx-auto h-16 w-16 text-blue-400 mb-6" />
-            <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-200 mb-2">Ready to Start?</h2>
-            <p className="text-gray-600 dark:text-gray-400 mb-6">Choose a mode from the dashboard to begin your CISA preparation.</p>
-            <button
-              onClick={() => setCurrentMode('analytics')}
-              className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
-            >
-              Go to Dashboard
-            </button>
-          </div>
-        </div>
-      </div>
+      <SessionHistory
+        sessionHistory={sessionHistory}
+        questions={allQuestions}
+        bookmarked={bookmarkedQuestions}
+        onToggleBookmark={toggleBookmark}
+        onDelete={deleteSession}
+        onAnnotate={annotateSession}
+        openSessionId={historySessionId}
+        onOpenSession={openHistory}
+        onBack={() => setCurrentMode('analytics')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+  // --- Post-Session Answer Review ---
+  if (currentMode === 'session-review' && lastSessionResults) {
+    return (
+      <SessionReview
+        session={lastSessionResults}
+        questions={allQuestions}
+        bookmarked={bookmarkedQuestions}
+        onToggleBookmark={toggleBookmark}
+        onBack={() => setCurrentMode('results')}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={toggleDarkMode}
+      />
+    );
+  }
+
+
+  // --- Exam Review Mode ---
+  if (currentMode === 'session' && session.phase === 'reviewing') {
+    return (
+      <ExamReview
+        questions={session.questions}
+        selectedAnswers={session.answers}
+        flagged={session.flagged}
+        timeRemaining={formatTime(session.timer.remainingSeconds)}
+        onJump={jumpToQuestion}
+        onSubmit={handleSubmit}
+        onBack={() => jumpToQuestion(session.currentIndex)}
+      />
     );
   }
-  const isAnswered = selectedAnswers[currentQ.id] !== undefined;
-  const isCorrect = isAnswered && selectedAnswers[currentQ.id] === currentQ.correctAnswer;
-  const currentQuestionTime = questionStartTime ? Math.round((Date.now() - questionStartTime) / 1000) : 0;
+
+  // --- Question Mode (Practice/Exam) ---
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
-      <div className="max-w-4xl mx-auto space-y-0">
-        {/* Header Card */}
-        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-t-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6">
-          <div className="flex justify-between items-center flex-wrap gap-4">
-            <div className="flex-1">
-              <div className="flex items-center gap-3 mb-2">
-                <div className="w-3 h-3 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full"></div>
-                <h1 className="text-xl font-bold text-gray-800 dark:text-gray-100 capitalize">
-                  {currentMode.replace('-', ' ')} Mode
-                  {/* --- Enhancement: Show Adaptive Status & Difficulty --- */}
-                  {currentMode.startsWith('practice') && adaptivePracticeMode && (
-                    <span className="ml-2 text-xs bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200 px-2 py-1 rounded">
-                      Adaptive (D{currentDifficulty})
-                    </span>
-                  )}
-                </h1>
-              </div>
-              <p className="text-sm text-gray-600 dark:text-gray-400 font-medium">{currentQ.domain}</p>
-            </div>
-            <div className="flex items-center gap-4">
-              {currentMode === 'exam' && (
-                <div className="bg-red-50 dark:bg-red-900/30 px-4 py-2 rounded-xl border border-red-200 dark:border-red-800">
-                  <div className="flex items-center gap-2 text-red-600 dark:text-red-400 font-mono font-bold">
-                    <Clock className="w-4 h-4" />
-                    <span>{formatTime(timeRemaining)}</span>
-                  </div>
-                </div>
-              )}
-              {currentMode.startsWith('practice') && (
-                <div className="bg-blue-50 dark:bg-blue-900/30 px-4 py-2 rounded-xl border border-blue-200 dark:border-blue-800">
-                  <div className="flex items-center gap-2 text-blue-600 dark:text-blue-400 font-mono font-bold">
-                    <Clock className="w-4 h-4" />
-                    <span>{formatTime(currentQuestionTime)}</span>
-                  </div>
-                </div>
-              )}
-              <button
-                onClick={toggleDarkMode}
-                className="p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
-              >
-                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
-              </button>
-              <button
-                onClick={() => setCurrentMode('analytics')}
-                className="p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
-              >
-                <Home className="w-5 h-5" />
-              </button>
-            </div>
-          </div>
-          {/* Progress Bar */}
-          <div className="mt-6">
-            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-2">
-              <span>Question {currentQuestion + 1} of {questions.length}</span>
-              <span>{Math.round(((currentQuestion + 1) / questions.length) * 100)}%</span>
-            </div>
-            <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-3 overflow-hidden">
-              <div
-                className="bg-gradient-to-r from-blue-500 to-indigo-500 h-full rounded-full transition-all duration-300 ease-out"
-                style={{ width: `${((currentQuestion + 1) / questions.length) * 100}%` }}
-              ></div>
-            </div>
-          </div>
-        </div>
-        {/* Question Card */}
-        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl shadow-xl border-x border-white/20 dark:border-gray-700/20 p-6">
-          <div className="flex justify-between items-start gap-4 mb-6">
-            <h2 className="text-lg font-semibold text-gray-800 dark:text-gray-100 leading-relaxed flex-1">
-              <span className="text-blue-600 dark:text-blue-400 font-bold mr-3">{currentQuestion + 1}.</span>
-              {currentQ.question}
-            </h2>
-            <button
-              onClick={() => toggleBookmark(currentQ.id)}
-              className="p-3 rounded-full hover:bg-yellow-50 dark:hover:bg-yellow-900/30 transition-all duration-200 hover:scale-105 flex-shrink-0"
-            >
-              <Bookmark
-                className={`w-6 h-6 transition-colors ${
-                  bookmarkedQuestions.has(currentQ.id)
-                    ? 'fill-yellow-400 text-yellow-500'
-                    : 'text-gray-400 dark:text-gray-500 hover:text-yellow-500'
-                }`}
-              />
-            </button>
-          </div>
-          {/* Answer Options */}
-          <div className="space-y-3">
-            {currentQ.options.map((option, index) => {
-              let btnClass = 'border-gray-200 dark:border-gray-600 hover:border-blue-300 dark:hover:border-blue-500 hover:bg-blue-50/50 dark:hover:bg-blue-900/20';
-              let iconColor = 'text-gray-400';
-              let showIcon = null;
-              if (isAnswered && currentMode.startsWith('practice')) {
-                if (index === currentQ.correctAnswer) {
-                  btnClass = 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-600 shadow-green-100 dark:shadow-green-900/50';
-                  iconColor = 'text-green-600';
-                  showIcon = <CheckCircle className="w-5 h-5" />;
-                } else if (index === selectedAnswers[currentQ.id]) {
-                  btnClass = 'bg-red-50 dark:bg-red-900/30 border-red-300 dark:border-red-600 shadow-red-100 dark:shadow-red-900/50';
-                  iconColor = 'text-red-600';
-                  showIcon = <XCircle className="w-5 h-5" />;
-                }
-              } else if (selectedAnswers[currentQ.id] === index) {
-                btnClass = 'border-blue-400 dark:border-blue-500 bg-blue-50 dark:bg-blue-900/30 shadow-blue-100 dark:shadow-blue-900/50';
-                iconColor = 'text-blue-600';
-              }
-              return (
-                <button
-                  key={index}
-                  onClick={() => handleAnswerSelect(currentQ.id, index)}
-                  disabled={isAnswered && currentMode.startsWith('practice')}
-                  className={`w-full p-4 text-left border-2 rounded-xl transition-all duration-200 hover:scale-[1.01] flex items-center gap-4 shadow-sm ${btnClass} ${
-                    !(isAnswered && currentMode.startsWith('practice')) ? 'hover:shadow-md' : ''
-                  }`}
-                >
-                  <div className="flex items-center gap-3 flex-1">
-                    <span className={`font-bold text-lg ${iconColor === 'text-gray-400' ? 'text-gray-600 dark:text-gray-300' : iconColor}`}>
-                      {String.fromCharCode(65 + index)}.
-                    </span>
-                    <span className="text-gray-800 dark:text-gray-200 flex-1">{option}</span>
-                  </div>
-                  {showIcon && (
-                    <div className={iconColor}>
-                      {showIcon}
-                    </div>
-                  )}
-                </button>
-              );
-            })}
-          </div>
-        </div>
-        {/* Explanation Card (Practice Mode Only) */}
-        {isAnswered && currentMode.startsWith('practice') && (
-          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl shadow-xl border-x border-white/20 dark:border-gray-700/20 p-6">
-            <div className="flex items-start gap-4">
-              <div className={`p-3 rounded-xl ${isCorrect ? 'bg-green-100 dark:bg-green-900/30' : 'bg-red-100 dark:bg-red-900/30'}`}>
-                {isCorrect ?
-                  <CheckCircle className="w-6 h-6 text-green-600 dark:text-green-400" /> :
-                  <XCircle className="w-6 h-6 text-red-600 dark:text-red-400" />
-                }
-              </div>
-              <div className="flex-1">
-                <h3 className={`font-bold text-lg mb-2 ${isCorrect ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                  {isCorrect ? 'Correct Answer!' : 'Incorrect Answer'}
-                </h3>
-                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
-                  <p className="text-gray-700 dark:text-gray-300 leading-relaxed">
-                    <span className="font-semibold text-gray-800 dark:text-gray-200">Explanation: </span>
-                    {currentQ.explanation}
-                  </p>
-                </div>
-              </div>
-            </div>
-          </div>
-        )}
-        {/* Navigation Card */}
-        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-b-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6">
-          <div className="flex justify-between items-center">
-            <button
-              onClick={handlePreviousQuestion}
-              disabled={currentQuestion === 0}
-              className="px-6 py-3 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:opacity-50 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2"
-            >
-              <ChevronLeft className="w-5 h-5" />
-              Previous
-            </button>
-            <div className="flex items-center gap-3">
-              <span className="text-sm text-gray-500 dark:text-gray-400 font-medium">
-                {Object.keys(selectedAnswers).length} of {questions.length} answered
-              </span>
-              {currentQuestion === questions.length - 1 ? (
-                <button
-                  onClick={handleSubmit}
-                  disabled={!isAnswered}
-                  className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:from-gray-400 disabled:to-gray-500 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2 shadow-lg"
-                >
-                  <Award className="w-5 h-5" />
-                  Finish Session
-                </button>
-              ) : (
-                <button
-                  onClick={handleNextQuestion}
-                  disabled={!isAnswered}
-                  className="px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:from-gray-400 disabled:to-gray-500 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2 shadow-lg"
-                >
-                  Next Question
-                  <ChevronRight className="w-5 h-5" />
-                </button>
-              )}
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
+    <QuestionScreen
+      session={session}
+      bookmarked={bookmarkedQuestions}
+      onAnswer={handleAnswerSelect}
+      onNext={handleNextQuestion}
+      onPrevious={handlePreviousQuestion}
+      onJump={jumpToQuestion}
+      onReview={() => dispatch({ type: 'review', now: Date.now() })}
+      onSubmit={handleSubmit}
+      onToggleFlag={toggleFlag}
+      onToggleBookmark={toggleBookmark}
+      onTogglePause={togglePause}
+      onCopyLink={(questionId) => copyLink('question', { questionId })}
+      onHome={session.phase === 'idle' ? () => setCurrentMode('analytics') : leaveSession}
+      isDarkMode={isDarkMode}
+      onToggleDarkMode={toggleDarkMode}
+    />
   );
 };
 
@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from 'react';
+import { AlertCircle, CheckCircle, XCircle, Moon, Sun } from 'lucide-react';
+import { validateQuestionBank, VALIDATION_RULES } from '../lib/bankValidator.js';
+
+// --- Bank health screen ---
+const BankHealth = ({ bankName, rows, onBack, isDarkMode, onToggleDarkMode }) => {
+  const { issues, summary } = useMemo(() => validateQuestionBank(rows), [rows]);
+  const [ruleFilter, setRuleFilter] = useState('all');
+
+  const visibleIssues = ruleFilter === 'all' ? issues : issues.filter(i => i.rule === ruleFilter);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Bank Health
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">{bankName} · {summary.total} questions</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-4 text-center border border-gray-200/50 dark:border-gray-600/50">
+              <p className="text-3xl font-bold text-gray-800 dark:text-gray-100">{summary.total}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Questions</p>
+            </div>
+            <div className="bg-red-50 dark:bg-red-900/30 rounded-xl p-4 text-center border border-red-200 dark:border-red-800">
+              <p className="text-3xl font-bold text-red-600 dark:text-red-400">{summary.errors}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Errors</p>
+            </div>
+            <div className="bg-yellow-50 dark:bg-yellow-900/30 rounded-xl p-4 text-center border border-yellow-200 dark:border-yellow-800">
+              <p className="text-3xl font-bold text-yellow-600 dark:text-yellow-400">{summary.warnings}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Warnings</p>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            <button
+              onClick={() => setRuleFilter('all')}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${ruleFilter === 'all' ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+            >
+              All ({issues.length})
+            </button>
+            {Object.entries(VALIDATION_RULES).filter(([rule]) => summary.byRule[rule] > 0).map(([rule, { label }]) => (
+              <button
+                key={rule}
+                onClick={() => setRuleFilter(rule)}
+                className={`px-3 py-1 rounded-full text-xs font-medium ${ruleFilter === rule ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+              >
+                {label} ({summary.byRule[rule]})
+              </button>
+            ))}
+          </div>
+
+          {/* Issues */}
+          {issues.length === 0 ? (
+            <div className="flex items-center justify-center gap-2 py-12 text-green-600 dark:text-green-400 font-medium">
+              <CheckCircle className="w-5 h-5" /> No problems found.
+            </div>
+          ) : (
+            <div className="overflow-x-auto rounded-xl max-h-[32rem] overflow-y-auto space-y-2">
+              {visibleIssues.map((issue, i) => (
+                <div key={`${issue.rule}-${issue.index}-${i}`} className="flex items-start gap-3 p-3 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl border border-gray-200/50 dark:border-gray-600/50 text-sm">
+                  {issue.severity === 'error'
+                    ? <XCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0" />
+                    : <AlertCircle className="w-5 h-5 text-yellow-600 dark:text-yellow-400 flex-shrink-0" />}
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800 dark:text-gray-200">
+                      #{issue.index + 1} · {issue.message}
+                    </p>
+                    <p className="text-gray-600 dark:text-gray-400 truncate">{rows[issue.index]?.Question}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-4 mt-8">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BankHealth;
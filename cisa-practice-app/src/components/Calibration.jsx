@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Upload, Download, Gauge, AlertCircle, Moon, Sun } from 'lucide-react';
+import { calibrateFromPerformance, fitIrt, mergeCalibrations, applyCalibrationToRows, parseResponseLog } from '../lib/calibration.js';
+import { assignQuestionIds } from '../lib/questionId.js';
+import { downloadFile } from '../lib/exportCsv.js';
+
+// --- Item calibration screen ---
+const Calibration = ({ bankName, rows, questionPerformance, calibration, onApply, onReset, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [model, setModel] = useState('2PL');
+  const [responses, setResponses] = useState([]);
+  const [logName, setLogName] = useState('');
+  const [logError, setLogError] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const bankIds = assignQuestionIds(rows);
+  const bankIdSet = new Set(bankIds);
+  const calibratedCount = bankIds.filter(id => calibration[id]).length;
+
+  const handleLogChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setLogName(file.name);
+    setLogError(null);
+    try {
+      setResponses(await parseResponseLog(file));
+    } catch (error) {
+      setResponses([]);
+      setLogError(error.message);
+    }
+  };
+
+  const runCalibration = () => {
+    const fromPerformance = calibrateFromPerformance(questionPerformance);
+    const fromLog = responses.length > 0 ? fitIrt(responses, model) : {};
+    const merged = mergeCalibrations(fromPerformance, fromLog);
+    setPreview(Object.fromEntries(Object.entries(merged).filter(([id]) => bankIdSet.has(id))));
+  };
+
+  const handleApply = () => {
+    onApply(preview);
+    setPreview(null);
+  };
+
+  const downloadCalibratedBank = () => {
+    const calibratedRows = applyCalibrationToRows(rows, bankIds, calibration);
+    downloadFile(`${bankName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-calibrated.json`, JSON.stringify(calibratedRows, null, 2), 'application/json');
+  };
+
+  const distribution = (set) => [1, 2, 3, 4, 5].map(level => Object.values(set).filter(r => r.difficulty === level).length);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Difficulty Calibration
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">{bankName} · {calibratedCount} of {rows.length} questions calibrated</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Your own answer history gives classical p-value estimates for questions answered at least 3 times.
+              A response log from several candidates (CSV or JSON with respondent, questionId and correct columns)
+              adds a 1PL or 2PL IRT fit, which also estimates discrimination.
+            </p>
+
+            <div className="space-y-3">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Response Log (optional)</label>
+              <label className="flex items-center justify-center gap-3 p-6 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-xl cursor-pointer hover:border-blue-400 transition-colors text-gray-600 dark:text-gray-300">
+                <Upload className="w-5 h-5" />
+                <span>{logName ? `${logName} (${responses.length} responses)` : 'Choose a .csv or .json response log'}</span>
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleLogChange} className="hidden" />
+              </label>
+              {logError && (
+                <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+                  <AlertCircle className="w-4 h-4" /> {logError}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-3">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">IRT Model</label>
+              <select
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+              >
+                <option value="2PL">2PL (difficulty + discrimination)</option>
+                <option value="1PL">1PL / Rasch (difficulty only)</option>
+              </select>
+            </div>
+
+            {preview && (
+              <div className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-4 border border-gray-200/50 dark:border-gray-600/50">
+                <p className="font-semibold text-gray-800 dark:text-gray-200 mb-3">
+                  {Object.keys(preview).length} questions estimated
+                </p>
+                <div className="grid grid-cols-5 gap-2 text-center text-sm">
+                  {distribution(preview).map((count, i) => (
+                    <div key={i} className="bg-white/70 dark:bg-gray-800/70 rounded-lg p-2">
+                      <div className="font-bold text-gray-800 dark:text-gray-100">{count}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">D{i + 1}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4 mt-8">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back
+            </button>
+            {preview ? (
+              <button
+                onClick={handleApply}
+                disabled={Object.keys(preview).length === 0}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+              >
+                <Gauge className="w-5 h-5" /> Apply to Bank
+              </button>
+            ) : (
+              <button
+                onClick={runCalibration}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+              >
+                <Gauge className="w-5 h-5" /> Run Calibration
+              </button>
+            )}
+          </div>
+          {calibratedCount > 0 && (
+            <div className="flex gap-4 mt-4">
+              <button
+                onClick={downloadCalibratedBank}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center justify-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+              >
+                <Download className="w-4 h-4" /> Download Calibrated Bank
+              </button>
+              <button
+                onClick={onReset}
+                className="flex-1 px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+              >
+                Reset Calibration
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Calibration;
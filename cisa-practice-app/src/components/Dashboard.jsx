@@ -0,0 +1,484 @@
+import React from 'react';
+import { BookOpen, Award, Play, RotateCcw, CheckCircle, AlertCircle, BarChart3, Download, Bookmark, Moon, Sun, Calendar, Target, Upload, Repeat, Layers, Search as SearchIcon } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import { DUE_BATCH_SIZE, getDueQuestions } from '../lib/spacedRepetition.js';
+import { estimatePassLikelihood, SCALED_PASS } from '../lib/passEstimate.js';
+import { describeSetConfig } from '../lib/practiceSets.js';
+import { getTimeAnalytics } from '../lib/timeAnalytics.js';
+import { formatTime } from '../lib/timerPolicy.js';
+import { getOverallStats, getDomainChartData, getProgressChartData } from '../lib/sessionHistory.js';
+import TimeAnalytics from './TimeAnalytics.jsx';
+import TaxonomyPerformance from './TaxonomyPerformance.jsx';
+
+// --- Performance dashboard ---
+// The home screen: progress charts, study plan, saved sets, the resume card and
+// entry points to every practice mode. `onNavigate(mode)` opens another screen.
+const Dashboard = ({
+  questions, sessionHistory, domainPerformance, questionPerformance, incorrect, bookmarked,
+  activeSession, practicePresets, examDate, studyPlan, storageError, bankLabel,
+  onNavigate, onStartPractice, onResumeSession, onDiscardSession, onOpenBuilder, onStartPreset, onSharePreset, onDeletePreset,
+  onExamDateChange, onGenerateStudyPlan, onOpenHistory, onExportSessions, onExportQuestions, onExportReport,
+  onDismissStorageError, isDarkMode, onToggleDarkMode,
+}) => {
+  const stats = getOverallStats(sessionHistory);
+  const domainData = getDomainChartData(domainPerformance);
+  const progressData = getProgressChartData(sessionHistory);
+  const timeAnalytics = getTimeAnalytics(sessionHistory, questions);
+  const incorrectToReview = questions.filter(q => incorrect.has(q.id));
+  const bookmarkedToReview = questions.filter(q => bookmarked.has(q.id));
+  const dueToReview = getDueQuestions(questions, questionPerformance);
+  const dueBatch = dueToReview.slice(0, DUE_BATCH_SIZE);
+  const passEstimate = estimatePassLikelihood(sessionHistory, questions);
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900">
+      <div className="max-w-7xl mx-auto p-4 lg:p-8 pb-32">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center mb-8 gap-4">
+          <div>
+            <h1 className="text-4xl lg:text-5xl font-bold bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600 bg-clip-text text-transparent">
+              CISA Performance Dashboard
+            </h1>
+            <p className="text-gray-600 dark:text-gray-300 mt-2 text-lg">
+              Track your progress and master the CISA certification
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => onNavigate('search')}
+              title="Search questions"
+              className="p-3 rounded-full bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm hover:bg-white/70 dark:hover:bg-gray-700/70 transition-all duration-200 hover:scale-105 shadow-lg"
+            >
+              <SearchIcon className="w-6 h-6 text-gray-600 dark:text-gray-300" />
+            </button>
+            <button
+              onClick={() => onNavigate('import')}
+              className="px-4 py-3 rounded-full bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm hover:bg-white/70 dark:hover:bg-gray-700/70 transition-all duration-200 hover:scale-105 shadow-lg flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-200"
+            >
+              <Upload className="w-5 h-5" />
+              {bankLabel}
+            </button>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm hover:bg-white/70 dark:hover:bg-gray-700/70 transition-all duration-200 hover:scale-105 shadow-lg"
+            >
+              {isDarkMode ? <Sun className="w-6 h-6 text-yellow-500" /> : <Moon className="w-6 h-6 text-gray-600" />}
+            </button>
+          </div>
+        </div>
+
+        {/* Storage Error Banner */}
+        {storageError && (
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-2xl p-4 mb-8 flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1 text-sm text-red-700 dark:text-red-300">
+              <p className="font-semibold">{storageError.name === 'StorageQuotaError' ? 'Browser storage is full' : 'Progress could not be saved'}</p>
+              <p>
+                {storageError.name === 'StorageQuotaError'
+                  ? 'Your latest results were not saved. Free up browser storage for this site to keep recording progress.'
+                  : storageError.message}
+              </p>
+            </div>
+            <button
+              onClick={onDismissStorageError}
+              className="text-sm font-medium text-red-700 dark:text-red-300 hover:underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Resume Session Card */}
+        {activeSession && (
+          <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-blue-200 dark:border-blue-800 p-6 mb-8 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+            <div>
+              <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
+                <Play className="w-5 h-5 text-blue-500" />
+                Resume {activeSession.mode === 'exam' ? 'Exam' : 'Practice'} Session
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                {Object.keys(activeSession.selectedAnswers).length} of {activeSession.questionIds.length} answered
+                {activeSession.remainingSeconds !== null && ` · ${formatTime(activeSession.remainingSeconds)} remaining`}
+                {` · saved ${new Date(activeSession.savedAt).toLocaleString()}`}
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={onDiscardSession}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+              >
+                Discard
+              </button>
+              <button
+                onClick={onResumeSession}
+                className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+              >
+                <Play className="w-4 h-4" /> Resume
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Saved Practice Sets Card */}
+        <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6 mb-8">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-4">
+            <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
+              <Layers className="w-5 h-5 text-blue-500" />
+              Saved Practice Sets
+            </h3>
+            <button
+              onClick={() => onOpenBuilder()}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+            >
+              Custom Set Builder
+            </button>
+          </div>
+          {practicePresets.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Combine domains, difficulty ranges and filters such as "never seen" or "seen but wrong", then save the set here for one-click practice.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {practicePresets.map(preset => (
+                <div key={preset.id} className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 p-3 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl">
+                  <div>
+                    <div className="font-medium text-gray-800 dark:text-gray-200">{preset.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{describeSetConfig(preset.config)}</div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onDeletePreset(preset.id)}
+                      className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+                    >
+                      Delete
+                    </button>
+                    <button
+                      onClick={() => onOpenBuilder(preset.id)}
+                      className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => onSharePreset(preset.config)}
+                      className="px-3 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+                    >
+                      Share
+                    </button>
+                    <button
+                      onClick={() => onStartPreset(preset.config)}
+                      className="px-3 py-1.5 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center gap-1 text-sm font-medium transition-all duration-200 shadow-lg"
+                    >
+                      <Play className="w-4 h-4" /> Start
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* --- Enhancement: Study Plan Section --- */}
+        <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6 mb-8">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+            <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
+              <Calendar className="w-5 h-5 text-blue-500" />
+              Personalized Study Plan
+            </h3>
+            <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
+              <input
+                type="date"
+                value={examDate || ""}
+                onChange={(e) => onExamDateChange(e.target.value)}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={onGenerateStudyPlan}
+                className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center justify-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg whitespace-nowrap"
+              >
+                <Target className="w-4 h-4" /> Generate Plan
+              </button>
+            </div>
+          </div>
+
+          {studyPlan.length > 0 ? (
+            <div className="overflow-x-auto rounded-xl max-h-96 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-white/80 dark:bg-gray-800/80 z-10">
+                  <tr className="bg-gray-50/80 dark:bg-gray-700/50 backdrop-blur-sm">
+                    <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tl-lg">Date</th>
+                    <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tr-lg">Tasks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {studyPlan.map((day, index) => (
+                    <tr key={index} className="border-t border-gray-100 dark:border-gray-600/30 hover:bg-gray-50/50 dark:hover:bg-gray-700/30 transition-colors">
+                      <td className="p-3 font-medium text-gray-800 dark:text-gray-200 whitespace-nowrap">{day.date}</td>
+                      <td className="p-3 text-gray-700 dark:text-gray-300">
+                        <ul className="list-disc pl-5 space-y-1">
+                          {day.tasks.map((task, i) => (
+                            <li key={i} className="text-sm">{task}</li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray-600 dark:text-gray-400 text-center py-4">
+              Set your exam date and click "Generate Plan" to create your personalized study schedule.
+            </p>
+          )}
+        </div>
+
+        {sessionHistory.length === 0 ? (
+          <div className="text-center py-20">
+            <div className="bg-white/50 dark:bg-gray-800/50 backdrop-blur-sm rounded-3xl p-12 shadow-xl border border-white/20 dark:border-gray-700/20 max-w-md mx-auto">
+              <BarChart3 className="mx-auto h-20 w-20 text-blue-400 mb-6" />
+              <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100 mb-2">Welcome to CISA Practice!</h2>
+              <p className="text-gray-600 dark:text-gray-300 mb-6">Start your first session to see your progress and analytics here.</p>
+              <div className="w-12 h-1 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full mx-auto"></div>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Stats Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-8">
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
+                <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                  <BarChart3 className="w-6 h-6 text-white" />
+                </div>
+                <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Average Score</p>
+                <p className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                  {stats.averageScore}%
+                </p>
+              </div>
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
+                <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                  <CheckCircle className="w-6 h-6 text-white" />
+                </div>
+                <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Sessions Completed</p>
+                <p className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                  {stats.completedSessions}
+                </p>
+              </div>
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
+                <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-violet-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                  <BookOpen className="w-6 h-6 text-white" />
+                </div>
+                <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Questions Answered</p>
+                <p className="text-3xl font-bold bg-gradient-to-r from-purple-600 to-violet-600 bg-clip-text text-transparent">
+                  {stats.totalQuestions}
+                </p>
+              </div>
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 text-center hover:scale-[1.02] transition-all duration-200">
+                <div className="w-12 h-12 bg-gradient-to-br from-amber-500 to-orange-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                  <Award className="w-6 h-6 text-white" />
+                </div>
+                <p className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">Projected Score</p>
+                <p className={`text-3xl font-bold ${passEstimate.scaledScore >= SCALED_PASS ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  {passEstimate.scaledScore}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {passEstimate.scaledLow}–{passEstimate.scaledHigh} · {Math.round(passEstimate.passProbability * 100)}% pass chance
+                </p>
+              </div>
+            </div>
+            {/* Charts */}
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-8 mb-8">
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20">
+                <h3 className="font-bold text-lg mb-4 text-gray-800 dark:text-gray-100 flex items-center gap-2">
+                  <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                  Score Progress Over Time
+                </h3>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={progressData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                      <XAxis dataKey="session" stroke="#64748b" />
+                      <YAxis domain={[0, 100]} stroke="#64748b" />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                          border: 'none',
+                          borderRadius: '12px',
+                          boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
+                        }}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="score"
+                        stroke="#3B82F6"
+                        strokeWidth={3}
+                        dot={{ fill: '#3B82F6', strokeWidth: 2, r: 4 }}
+                        activeDot={{ r: 6, stroke: '#3B82F6', strokeWidth: 2 }}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20">
+                <h3 className="font-bold text-lg mb-4 text-gray-800 dark:text-gray-100 flex items-center gap-2">
+                  <div className="w-2 h-2 bg-purple-500 rounded-full"></div>
+                  Domain Performance
+                </h3>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={domainData} layout="vertical" margin={{ top: 5, right: 20, left: 120, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                      <XAxis type="number" domain={[0, 100]} stroke="#64748b" />
+                      <YAxis type="category" dataKey="domain" width={120} interval={0} stroke="#64748b" fontSize={12} />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                          border: 'none',
+                          borderRadius: '12px',
+                          boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
+                        }}
+                      />
+                      <Bar dataKey="percentage" fill="#8B5CF6" radius={[0, 4, 4, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+            <TaxonomyPerformance questions={questions} questionPerformance={questionPerformance} />
+            {timeAnalytics && <TimeAnalytics analytics={timeAnalytics} />}
+            {/* Session History */}
+            <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-6">
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
+                  <div className="w-2 h-2 bg-emerald-500 rounded-full"></div>
+                  Recent Sessions
+                </h3>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => onOpenHistory()}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+                  >
+                    <Calendar className="w-4 h-4" /> View All
+                  </button>
+                  <button
+                    onClick={onExportSessions}
+                    className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+                  >
+                    <Download className="w-4 h-4" /> Export CSV
+                  </button>
+                  <button
+                    onClick={onExportQuestions}
+                    className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+                  >
+                    <Download className="w-4 h-4" /> Questions CSV
+                  </button>
+                  <button
+                    onClick={onExportReport}
+                    className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 hover:scale-[1.02] shadow-lg"
+                  >
+                    <Download className="w-4 h-4" /> Export PDF
+                  </button>
+                </div>
+              </div>
+              <div className="overflow-x-auto rounded-xl">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-50/80 dark:bg-gray-700/50 backdrop-blur-sm">
+                      <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tl-lg">Date</th>
+                      <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Mode</th>
+                      <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Score</th>
+                      <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Questions</th>
+                      <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200 rounded-tr-lg">Time</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sessionHistory.slice(0, 5).map((s, index) => (
+                      <tr
+                        key={s.id}
+                        onClick={() => onOpenHistory(s.id)}
+                        className="border-t border-gray-100 dark:border-gray-600/30 hover:bg-gray-50/50 dark:hover:bg-gray-700/30 transition-colors cursor-pointer"
+                      >
+                        <td className="p-4 text-gray-800 dark:text-gray-200">{new Date(s.date).toLocaleDateString()}</td>
+                        <td className="p-4">
+                          <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200">
+                            {s.mode.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                          </span>
+                          {s.status === 'incomplete' && (
+                            <span className="ml-2 inline-flex px-2 py-1 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                              Incomplete
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-4 font-bold text-gray-800 dark:text-gray-200">
+                          <span className={`${s.percentage >= 75 ? 'text-green-600 dark:text-green-400' : s.percentage >= 65 ? 'text-yellow-600 dark:text-yellow-400' : 'text-red-600 dark:text-red-400'}`}>
+                            {s.percentage}%
+                          </span>
+                        </td>
+                        <td className="p-4 text-gray-800 dark:text-gray-200">{s.totalQuestions}</td>
+                        <td className="p-4 text-gray-800 dark:text-gray-200">{s.timeSpent} min</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+      {/* Floating Action Bar */}
+      <div className="fixed bottom-0 left-0 right-0 bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border-t border-white/20 dark:border-gray-700/20 p-4">
+        <div className="max-w-7xl mx-auto grid grid-cols-2 lg:grid-cols-5 gap-3">
+          <button
+            onClick={() => onNavigate('setup')}
+            className="group bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg"
+          >
+            <BookOpen className="w-5 h-5 group-hover:scale-110 transition-transform" />
+            <span className="hidden sm:inline">Practice Mode</span>
+            <span className="sm:hidden">Practice</span>
+          </button>
+          <button
+            onClick={() => onNavigate('exam-setup')}
+            className="group bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg"
+          >
+            <Award className="w-5 h-5 group-hover:scale-110 transition-transform" />
+            <span className="hidden sm:inline">Exam Mode</span>
+            <span className="sm:hidden">Exam</span>
+          </button>
+          <button
+            onClick={() => onStartPractice(dueBatch, 'practice-due')}
+            disabled={dueToReview.length === 0}
+            title={dueToReview.length > dueBatch.length ? `${dueToReview.length - dueBatch.length} more stay due after this session` : undefined}
+            className="group bg-gradient-to-r from-purple-500 to-violet-600 hover:from-purple-600 hover:to-violet-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            <Repeat className="w-5 h-5 group-hover:scale-110 transition-transform" />
+            <span className="hidden lg:inline">Due Today</span>
+            <span className="lg:hidden">Due</span>
+            <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">
+              ({dueToReview.length > dueBatch.length ? `${dueBatch.length} of ${dueToReview.length}` : dueToReview.length})
+            </span>
+          </button>
+          <button
+            onClick={() => onStartPractice(incorrectToReview, 'practice-incorrect')}
+            disabled={incorrectToReview.length === 0}
+            className="group bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            <RotateCcw className="w-5 h-5 group-hover:scale-110 transition-transform" />
+            <span className="hidden lg:inline">Review Incorrect</span>
+            <span className="lg:hidden">Incorrect</span>
+            <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">({incorrectToReview.length})</span>
+          </button>
+          <button
+            onClick={() => onStartPractice(bookmarkedToReview, 'practice-bookmarked')}
+            disabled={bookmarkedToReview.length === 0}
+            className="group bg-gradient-to-r from-yellow-500 to-amber-500 hover:from-yellow-600 hover:to-amber-600 text-white font-semibold py-3 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            <Bookmark className="w-5 h-5 group-hover:scale-110 transition-transform" />
+            <span className="hidden lg:inline">Review Bookmarked</span>
+            <span className="lg:hidden">Bookmarked</span>
+            <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">({bookmarkedToReview.length})</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
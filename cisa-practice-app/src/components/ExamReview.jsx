@@ -0,0 +1,92 @@
+import React from 'react';
+import { Clock, Flag, AlertCircle, Award, ChevronLeft } from 'lucide-react';
+import QuestionNavigator from './QuestionNavigator.jsx';
+
+// --- Pre-submit exam review screen ---
+const ExamReview = ({ questions, selectedAnswers, flagged, timeRemaining, onJump, onSubmit, onBack }) => {
+  const unanswered = questions.map((q, index) => ({ q, index })).filter(({ q }) => selectedAnswers[q.id] === undefined);
+  const flaggedItems = questions.map((q, index) => ({ q, index })).filter(({ q }) => flagged.has(q.id));
+
+  const renderList = (items, emptyText) => (items.length === 0 ? (
+    <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>
+  ) : (
+    <ul className="space-y-2 max-h-64 overflow-y-auto">
+      {items.map(({ q, index }) => (
+        <li key={q.id}>
+          <button
+            onClick={() => onJump(index)}
+            className="w-full text-left p-3 bg-gray-50/70 dark:bg-gray-700/70 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-xl border border-gray-200/50 dark:border-gray-600/50 text-sm text-gray-800 dark:text-gray-200 transition-colors"
+          >
+            <span className="font-bold text-blue-600 dark:text-blue-400 mr-2">{index + 1}.</span>
+            <span className="line-clamp-1">{q.question}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  ));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-8">
+          <div className="flex justify-between items-center flex-wrap gap-4">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Review Before Submitting
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">
+                {questions.length - unanswered.length} of {questions.length} answered · {flaggedItems.length} flagged
+              </p>
+            </div>
+            <div className="bg-red-50 dark:bg-red-900/30 px-4 py-2 rounded-xl border border-red-200 dark:border-red-800">
+              <div className="flex items-center gap-2 text-red-600 dark:text-red-400 font-mono font-bold">
+                <Clock className="w-4 h-4" />
+                <span>{timeRemaining}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-bold text-gray-800 dark:text-gray-100 mb-3 flex items-center gap-2">
+                <AlertCircle className="w-5 h-5 text-red-500" /> Unanswered ({unanswered.length})
+              </h3>
+              {renderList(unanswered, 'Every question has an answer.')}
+            </div>
+            <div>
+              <h3 className="font-bold text-gray-800 dark:text-gray-100 mb-3 flex items-center gap-2">
+                <Flag className="w-5 h-5 text-orange-500" /> Flagged ({flaggedItems.length})
+              </h3>
+              {renderList(flaggedItems, 'No questions flagged for review.')}
+            </div>
+          </div>
+
+          <QuestionNavigator
+            questions={questions}
+            currentIndex={-1}
+            selectedAnswers={selectedAnswers}
+            flagged={flagged}
+            onJump={onJump}
+          />
+
+          <div className="flex flex-col sm:flex-row gap-4">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <ChevronLeft className="w-5 h-5" /> Return to Exam
+            </button>
+            <button
+              onClick={onSubmit}
+              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 shadow-lg"
+            >
+              <Award className="w-5 h-5" /> Submit Exam
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExamReview;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Play, Save, Moon, Sun } from 'lucide-react';
+import { STATUS_FILTERS, EMPTY_SET_CONFIG, countEligible } from '../lib/practiceSets.js';
+
+const inputClass = 'p-2 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50';
+
+// --- Custom practice set builder ---
+// Pass `preset` to edit an existing preset; saving then replaces it.
+const PracticeBuilder = ({ questions, context, preset, onSave, onStart, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [name, setName] = useState(preset ? preset.name : '');
+  const [config, setConfig] = useState(preset ? preset.config : EMPTY_SET_CONFIG);
+
+  const domains = [...new Set(questions.map(q => q.domain))].sort();
+  const eligible = countEligible(questions, config, context);
+  const total = domains.reduce((sum, d) => sum + Math.min(config.domains[d] || 0, eligible[d] || 0), 0);
+
+  const update = (changes) => setConfig(prev => ({ ...prev, ...changes }));
+  const setDomainCount = (domain, count) => update({ domains: { ...config.domains, [domain]: Math.max(0, count || 0) } });
+  const toggleStatus = (status) => update({
+    statuses: config.statuses.includes(status) ? config.statuses.filter(s => s !== status) : [...config.statuses, status],
+  });
+
+  const handleSave = () => {
+    if (!name.trim()) {
+      alert('Please name the preset before saving.');
+      return;
+    }
+    onSave(name, config);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                {preset ? 'Edit Practice Set' : 'Custom Practice Set'}
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">{total} questions selected</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          <div className="space-y-3">
+            <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Questions per Domain</label>
+            {domains.map(domain => (
+              <div key={domain} className="flex items-center justify-between gap-4 p-3 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl">
+                <div>
+                  <div className="text-sm font-medium text-gray-800 dark:text-gray-200">{domain}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{eligible[domain] || 0} match the filters below</div>
+                </div>
+                <input
+                  type="number"
+                  min="0"
+                  max={eligible[domain] || 0}
+                  value={config.domains[domain] || 0}
+                  onChange={(e) => setDomainCount(domain, parseInt(e.target.value, 10))}
+                  className={`${inputClass} w-24`}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Difficulty from</label>
+              <select
+                value={config.difficultyMin}
+                onChange={(e) => update({ difficultyMin: Number(e.target.value), difficultyMax: Math.max(config.difficultyMax, Number(e.target.value)) })}
+                className={`${inputClass} w-full`}
+              >
+                {[1, 2, 3, 4, 5].map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Difficulty to</label>
+              <select
+                value={config.difficultyMax}
+                onChange={(e) => update({ difficultyMax: Number(e.target.value), difficultyMin: Math.min(config.difficultyMin, Number(e.target.value)) })}
+                className={`${inputClass} w-full`}
+              >
+                {[1, 2, 3, 4, 5].map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Skip correct in last N days</label>
+              <input
+                type="number"
+                min="0"
+                value={config.excludeCorrectWithinDays}
+                onChange={(e) => update({ excludeCorrectWithinDays: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className={`${inputClass} w-full`}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Only include (any of)</label>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(STATUS_FILTERS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => toggleStatus(key)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
+                    config.statuses.includes(key)
+                      ? 'bg-gradient-to-r from-blue-500 to-indigo-500 text-white shadow-lg'
+                      : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Preset Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Weak spots - Domain 4 hard"
+              className={`${inputClass} w-full p-3`}
+            />
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={total === 0}
+              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+            >
+              <Save className="w-5 h-5" /> Save Preset
+            </button>
+            <button
+              onClick={() => onStart(config)}
+              disabled={total === 0}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+            >
+              <Play className="w-5 h-5" /> Start Practice
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PracticeBuilder;
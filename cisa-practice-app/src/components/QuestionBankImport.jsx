@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { Upload, CheckCircle, XCircle, AlertCircle, Trash2, Moon, Sun, Activity, Gauge, Tags } from 'lucide-react';
+import { parseQuestionFile, createQuestionBank, QUESTION_COLUMNS } from '../lib/questionImport.js';
+
+const PREVIEW_LIMIT = 50;
+
+// --- Question bank import screen ---
+const QuestionBankImport = ({ banks, activeBankId, builtinCount, onSaveBank, onSelectBank, onDeleteBank, onShowHealth, onShowCalibration, onShowTagging, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [fileName, setFileName] = useState('');
+  const [bankName, setBankName] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  const validCount = entries.filter(e => e.errors.length === 0).length;
+  const invalidCount = entries.length - validCount;
+  const visibleEntries = (showErrorsOnly ? entries.filter(e => e.errors.length > 0) : entries).slice(0, PREVIEW_LIMIT);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setBankName(prev => prev || file.name.replace(/\.(csv|json)$/i, ''));
+    setParseError(null);
+    try {
+      setEntries(await parseQuestionFile(file));
+    } catch (error) {
+      setEntries([]);
+      setParseError(error.message);
+    }
+  };
+
+  const handleSave = () => {
+    onSaveBank(createQuestionBank(bankName, entries));
+    setEntries([]);
+    setFileName('');
+    setBankName('');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Question Banks
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">Import CSV or JSON files using the columns {QUESTION_COLUMNS.join(', ')}</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          {/* Saved Banks */}
+          <div className="space-y-3 mb-8">
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex-1">Active Bank</h3>
+              <button
+                onClick={onShowHealth}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200"
+              >
+                <Activity className="w-4 h-4" /> Bank Health
+              </button>
+              <button
+                onClick={onShowCalibration}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200"
+              >
+                <Gauge className="w-4 h-4" /> Calibrate
+              </button>
+              <button
+                onClick={onShowTagging}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200"
+              >
+                <Tags className="w-4 h-4" /> Tag Topics
+              </button>
+            </div>
+            {[{ id: 'builtin', name: 'CISA Official (built-in)', count: builtinCount }, ...banks.map(b => ({ id: b.id, name: b.name, count: b.rows.length }))].map(bank => (
+              <div key={bank.id} className="flex items-center justify-between p-4 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl border border-gray-200/50 dark:border-gray-600/50">
+                <label className="flex items-center gap-3 cursor-pointer flex-1">
+                  <input
+                    type="radio"
+                    name="activeBank"
+                    checked={activeBankId === bank.id}
+                    onChange={() => onSelectBank(bank.id)}
+                  />
+                  <span className="font-medium text-gray-800 dark:text-gray-200">{bank.name}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{bank.count} questions</span>
+                </label>
+                {bank.id !== 'builtin' && (
+                  <button
+                    onClick={() => onDeleteBank(bank.id)}
+                    className="p-2 rounded-full hover:bg-red-50 dark:hover:bg-red-900/30 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Import */}
+          <div className="space-y-4">
+            <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100">Import New Bank</h3>
+            <label className="flex items-center justify-center gap-3 p-6 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-xl cursor-pointer hover:border-blue-400 transition-colors text-gray-600 dark:text-gray-300">
+              <Upload className="w-5 h-5" />
+              <span>{fileName || 'Choose a .csv or .json file'}</span>
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+            </label>
+            {parseError && (
+              <div className="flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+                <AlertCircle className="w-4 h-4" /> {parseError}
+              </div>
+            )}
+
+            {entries.length > 0 && (
+              <>
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div className="text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-semibold text-green-600 dark:text-green-400">{validCount} valid</span>
+                    {' · '}
+                    <span className="font-semibold text-red-600 dark:text-red-400">{invalidCount} with errors</span>
+                    {' (rows with errors are skipped)'}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                    <input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} />
+                    Show rows with errors only
+                  </label>
+                </div>
+                <div className="overflow-x-auto rounded-xl max-h-96 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-white/80 dark:bg-gray-800/80 z-10">
+                      <tr className="bg-gray-50/80 dark:bg-gray-700/50">
+                        <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200">Row</th>
+                        <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200">Question</th>
+                        <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200">Answer</th>
+                        <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200">Domain</th>
+                        <th className="p-3 text-left font-semibold text-gray-700 dark:text-gray-200">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleEntries.map(entry => (
+                        <tr key={entry.line} className="border-t border-gray-100 dark:border-gray-600/30 align-top">
+                          <td className="p-3 text-gray-500 dark:text-gray-400">{entry.line}</td>
+                          <td className="p-3 text-gray-800 dark:text-gray-200 max-w-md truncate">{entry.row.Question || '—'}</td>
+                          <td className="p-3 text-gray-800 dark:text-gray-200">{entry.row.CorrectAnswer || '—'}</td>
+                          <td className="p-3 text-gray-800 dark:text-gray-200">{entry.row.Domain || 'General'}</td>
+                          <td className="p-3">
+                            {entry.errors.length === 0 ? (
+                              <span className="flex items-center gap-1 text-green-600 dark:text-green-400"><CheckCircle className="w-4 h-4" /> OK</span>
+                            ) : (
+                              <ul className="space-y-1 text-red-600 dark:text-red-400">
+                                {entry.errors.map(err => (
+                                  <li key={err} className="flex items-start gap-1"><XCircle className="w-4 h-4 flex-shrink-0" /> {err}</li>
+                                ))}
+                              </ul>
+                            )}
+                            {entry.warnings.map(warning => (
+                              <div key={warning} className="text-xs text-yellow-600 dark:text-yellow-400 mt-1">{warning}</div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {entries.length > PREVIEW_LIMIT && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">Showing the first {PREVIEW_LIMIT} rows.</p>
+                )}
+                <div className="space-y-3">
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Bank Name</label>
+                  <input
+                    type="text"
+                    value={bankName}
+                    onChange={(e) => setBankName(e.target.value)}
+                    className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 bg-white/50"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="flex gap-4 mt-8">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back to Dashboard
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={validCount === 0 || !bankName.trim()}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed disabled:hover:scale-100"
+            >
+              <Upload className="w-5 h-5" />
+              Save Bank ({validCount} questions)
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankImport;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Flag } from 'lucide-react';
+
+// --- Question palette ---
+// Grid of question numbers showing answered / unanswered / flagged status.
+const QuestionNavigator = ({ questions, currentIndex, selectedAnswers, flagged, onJump }) => (
+  <div>
+    <div className="grid grid-cols-8 sm:grid-cols-10 md:grid-cols-15 gap-1.5">
+      {questions.map((q, index) => {
+        const answered = selectedAnswers[q.id] !== undefined;
+        const isFlagged = flagged.has(q.id);
+        let statusClass = answered
+          ? 'bg-blue-500 text-white border-blue-500'
+          : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 border-gray-300 dark:border-gray-600';
+        if (index === currentIndex) statusClass += ' ring-2 ring-offset-1 ring-indigo-500 dark:ring-offset-gray-800';
+        return (
+          <button
+            key={q.id}
+            onClick={() => onJump(index)}
+            title={`Question ${index + 1}${answered ? ' (answered)' : ' (unanswered)'}${isFlagged ? ' (flagged)' : ''}`}
+            className={`relative h-9 text-xs font-semibold rounded-lg border transition-all duration-150 hover:scale-105 ${statusClass}`}
+          >
+            {index + 1}
+            {isFlagged && <Flag className="absolute -top-1 -right-1 w-3 h-3 fill-orange-500 text-orange-500" />}
+          </button>
+        );
+      })}
+    </div>
+    <div className="flex flex-wrap gap-4 mt-4 text-xs text-gray-600 dark:text-gray-400">
+      <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-500"></span> Answered</span>
+      <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border border-gray-300 dark:border-gray-600"></span> Unanswered</span>
+      <span className="flex items-center gap-1"><Flag className="w-3 h-3 fill-orange-500 text-orange-500" /> Flagged</span>
+    </div>
+  </div>
+);
+
+export default QuestionNavigator;
@@ -0,0 +1,426 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSwipeable } from 'react-swipeable';
+import { Clock, Award, Play, CheckCircle, XCircle, AlertCircle, Home, Bookmark, Moon, Sun, ChevronLeft, ChevronRight, Flag, Pause, Share2, Keyboard } from 'lucide-react';
+import { getPaceStatus } from '../lib/timeAnalytics.js';
+import { TIMER_MODES, formatTime } from '../lib/timerPolicy.js';
+import { getClockSeconds, isPracticeMode } from '../lib/sessionEngine.js';
+import { isShortcutEvent, getShortcutCommand, getSwipeCommand } from '../lib/shortcuts.js';
+import QuestionNavigator from './QuestionNavigator.jsx';
+import ShortcutHelp from './ShortcutHelp.jsx';
+
+// A tap this soon after a swipe ends is the tail of the swipe, not a choice.
+const SWIPE_TAP_GUARD_MS = 400;
+
+// --- Question screen (practice and exam) ---
+// Renders the session engine's state; every control reports back through a
+// callback and the app dispatches the matching engine action.
+const QuestionScreen = ({
+  session, bookmarked, onAnswer, onNext, onPrevious, onJump, onReview, onSubmit,
+  onToggleFlag, onToggleBookmark, onTogglePause, onCopyLink, onHome, isDarkMode, onToggleDarkMode,
+}) => {
+  const { mode, questions, currentIndex, answers, flagged, timer } = session;
+  const currentQ = questions[currentIndex];
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const lastSwipeAt = useRef(0);
+
+  // --- Keyboard shortcuts and swipes (see lib/shortcuts.js) ---
+  const view = currentQ && {
+    isExam: mode === 'exam',
+    answered: answers[currentQ.id] !== undefined,
+    isFirst: currentIndex === 0,
+    isLast: currentIndex === questions.length - 1,
+    optionCount: currentQ.options.length,
+    paused: Boolean(timer && timer.pausedAt !== null),
+  };
+  const runCommand = (command) => {
+    switch (command.type) {
+      case 'help': setShowShortcuts(prev => !prev); break;
+      case 'answer': onAnswer(command.index); break;
+      case 'next': onNext(); break;
+      case 'previous': onPrevious(); break;
+      case 'review': onReview(); break;
+      case 'submit': onSubmit(); break;
+      case 'bookmark': onToggleBookmark(currentQ.id); break;
+      case 'flag': onToggleFlag(currentQ.id); break;
+      default: break;
+    }
+  };
+  const handleSwipe = ({ dir }) => {
+    const command = view && getSwipeCommand(dir, view);
+    if (command) runCommand(command);
+  };
+  // Left and right anywhere on the question; every swipe arms the tap guard
+  const questionSwipe = useSwipeable({
+    onSwipedLeft: handleSwipe,
+    onSwipedRight: handleSwipe,
+    onSwiped: () => { lastSwipeAt.current = Date.now(); },
+    delta: 50,
+  });
+  // Down on the header only, holding the page still rather than pulling to refresh
+  const headerSwipe = useSwipeable({
+    onSwipedDown: handleSwipe,
+    delta: 50,
+    preventScrollOnSwipe: true,
+  });
+  const guardSwipeTap = (event) => {
+    if (Date.now() - lastSwipeAt.current < SWIPE_TAP_GUARD_MS) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  };
+
+  // Re-registered every render so the handler always sees the current question.
+  useEffect(() => {
+    if (!currentQ) return;
+    const handleKeyDown = (event) => {
+      if (!isShortcutEvent(event)) return;
+      if (event.key === 'Escape' && showShortcuts) {
+        setShowShortcuts(false);
+        return;
+      }
+      const command = getShortcutCommand(event, view);
+      // Held keys would otherwise race through questions
+      if (!command || (event.repeat && !event.key.startsWith('Arrow'))) return;
+      if (showShortcuts && command.type !== 'help') return;
+      // Stops Enter also clicking whichever button has focus
+      event.preventDefault();
+      runCommand(command);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  if (!currentQ) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
+        <div className="text-center">
+          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl p-12 shadow-xl border border-white/20 dark:border-gray-700/20">
+            <AlertCircle className="mx-auto h-16 w-16 text-blue-400 mb-6" />
+            <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-200 mb-2">Ready to Start?</h2>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">Choose a mode from the dashboard to begin your CISA preparation.</p>
+            <button
+              onClick={onHome}
+              className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Go to Dashboard
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  const isPractice = isPracticeMode(mode);
+  const isExam = mode === 'exam';
+  const { paused } = view;
+  const isAnswered = answers[currentQ.id] !== undefined;
+  const isCorrect = isAnswered && answers[currentQ.id] === currentQ.correctAnswer;
+  const questionSeconds = (session.questionTimes[currentQ.id] || 0) + getClockSeconds(session, Date.now());
+  const pace = isExam ? getPaceStatus({
+    elapsedSeconds: timer.durationSeconds - timer.remainingSeconds,
+    answeredCount: Object.keys(answers).length,
+    totalQuestions: questions.length,
+    durationSeconds: timer.durationSeconds,
+  }) : null;
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-2 sm:p-4">
+      {showShortcuts && <ShortcutHelp isExam={isExam} onClose={() => setShowShortcuts(false)} />}
+      {/* Pause Overlay - hides the question while the clock is stopped */}
+      {paused && (
+        <div className="fixed inset-0 z-50 bg-slate-900/70 backdrop-blur-md flex items-center justify-center p-4">
+          <div className="bg-white/90 dark:bg-gray-800/90 rounded-2xl shadow-2xl p-10 text-center max-w-sm w-full">
+            <Pause className="mx-auto h-12 w-12 text-blue-500 mb-4" />
+            <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100 mb-2">Exam Paused</h2>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">{formatTime(timer.remainingSeconds)} remaining</p>
+            <button
+              onClick={onTogglePause}
+              className="w-full bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <Play className="w-5 h-5" /> Resume
+            </button>
+          </div>
+        </div>
+      )}
+      <div {...questionSwipe} onClickCapture={guardSwipeTap} className="max-w-4xl mx-auto space-y-0">
+        {/* Header Card */}
+        <div {...headerSwipe} className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-t-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-4 sm:p-6">
+          <div className="flex justify-between items-center flex-wrap gap-3 sm:gap-4">
+            <div className="flex-1">
+              <div className="flex items-center gap-3 mb-2">
+                <div className="w-3 h-3 bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full"></div>
+                <h1 className="text-xl font-bold text-gray-800 dark:text-gray-100 capitalize">
+                  {mode.replace('-', ' ')} Mode
+                  {/* --- Enhancement: Show Adaptive Status & Difficulty --- */}
+                  {isPractice && session.adaptive && (
+                    <span className="ml-2 text-xs bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200 px-2 py-1 rounded">
+                      Adaptive (D{session.difficulty})
+                    </span>
+                  )}
+                </h1>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400 font-medium">{currentQ.domain}</p>
+            </div>
+            <div className="flex items-center gap-2 sm:gap-4">
+              {isExam && TIMER_MODES[timer.mode].pausable && (
+                <button
+                  onClick={onTogglePause}
+                  className="p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
+                  title={paused ? 'Resume exam' : 'Pause exam'}
+                >
+                  {paused ? <Play className="w-5 h-5" /> : <Pause className="w-5 h-5" />}
+                </button>
+              )}
+              {pace && (
+                <div
+                  title={`${Object.keys(answers).length} answered, ${pace.expected} expected at this point`}
+                  className={`px-3 py-2 rounded-xl text-sm font-semibold ${
+                    pace.status === 'on-pace'
+                      ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                      : pace.status === 'slightly-behind'
+                        ? 'bg-yellow-50 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300'
+                        : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+                  }`}
+                >
+                  {pace.difference >= 0 ? 'On pace' : `${-pace.difference} behind pace`}
+                </div>
+              )}
+              {isExam && (
+                <div className="bg-red-50 dark:bg-red-900/30 px-4 py-2 rounded-xl border border-red-200 dark:border-red-800">
+                  <div className="flex items-center gap-2 text-red-600 dark:text-red-400 font-mono font-bold">
+                    <Clock className="w-4 h-4" />
+                    <span>{formatTime(timer.remainingSeconds)}</span>
+                  </div>
+                </div>
+              )}
+              {isPractice && (
+                <div className="bg-blue-50 dark:bg-blue-900/30 px-4 py-2 rounded-xl border border-blue-200 dark:border-blue-800">
+                  <div className="flex items-center gap-2 text-blue-600 dark:text-blue-400 font-mono font-bold">
+                    <Clock className="w-4 h-4" />
+                    <span>{formatTime(questionSeconds)}</span>
+                  </div>
+                </div>
+              )}
+              <button
+                onClick={() => setShowShortcuts(true)}
+                title="Keyboard shortcuts (?)"
+                className="hidden sm:block p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
+              >
+                <Keyboard className="w-5 h-5" />
+              </button>
+              <button
+                onClick={onToggleDarkMode}
+                className="p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+              >
+                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+              </button>
+              <button
+                onClick={onHome}
+                className="p-2 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
+              >
+                <Home className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+          {/* Progress Bar */}
+          <div className="mt-4 sm:mt-6">
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-2">
+              <span>Question {currentIndex + 1} of {questions.length}</span>
+              <span>{Math.round(((currentIndex + 1) / questions.length) * 100)}%</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-3 overflow-hidden">
+              <div
+                className="bg-gradient-to-r from-blue-500 to-indigo-500 h-full rounded-full transition-all duration-300 ease-out"
+                style={{ width: `${((currentIndex + 1) / questions.length) * 100}%` }}
+              ></div>
+            </div>
+            <p className="sm:hidden text-xs text-gray-500 dark:text-gray-400 mt-2 text-center">
+              Swipe left or right to move · swipe down here to bookmark
+            </p>
+          </div>
+        </div>
+        {/* Question Card */}
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl shadow-xl border-x border-white/20 dark:border-gray-700/20 p-4 sm:p-6">
+          <div className="flex justify-between items-start gap-2 sm:gap-4 mb-4 sm:mb-6">
+            <h2 className="text-base sm:text-lg font-semibold text-gray-800 dark:text-gray-100 leading-relaxed flex-1">
+              <span className="text-blue-600 dark:text-blue-400 font-bold mr-2 sm:mr-3">{currentIndex + 1}.</span>
+              {currentQ.question}
+            </h2>
+            {isExam && (
+              <button
+                onClick={() => onToggleFlag(currentQ.id)}
+                title="Flag for review"
+                className="p-2 sm:p-3 rounded-full hover:bg-orange-50 dark:hover:bg-orange-900/30 transition-all duration-200 hover:scale-105 flex-shrink-0"
+              >
+                <Flag
+                  className={`w-6 h-6 transition-colors ${
+                    flagged.has(currentQ.id)
+                      ? 'fill-orange-400 text-orange-500'
+                      : 'text-gray-400 dark:text-gray-500 hover:text-orange-500'
+                  }`}
+                />
+              </button>
+            )}
+            {isPractice && (
+              <button
+                onClick={() => onCopyLink(currentQ.id)}
+                title="Copy a link to this question"
+                className="p-2 sm:p-3 rounded-full hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-all duration-200 hover:scale-105 flex-shrink-0"
+              >
+                <Share2 className="w-6 h-6 text-gray-400 dark:text-gray-500 hover:text-blue-500 transition-colors" />
+              </button>
+            )}
+            <button
+              onClick={() => onToggleBookmark(currentQ.id)}
+              className="p-2 sm:p-3 rounded-full hover:bg-yellow-50 dark:hover:bg-yellow-900/30 transition-all duration-200 hover:scale-105 flex-shrink-0"
+            >
+              <Bookmark
+                className={`w-6 h-6 transition-colors ${
+                  bookmarked.has(currentQ.id)
+                    ? 'fill-yellow-400 text-yellow-500'
+                    : 'text-gray-400 dark:text-gray-500 hover:text-yellow-500'
+                }`}
+              />
+            </button>
+          </div>
+          {/* Answer Options */}
+          <div className="space-y-2 sm:space-y-3">
+            {currentQ.options.map((option, index) => {
+              let btnClass = 'border-gray-200 dark:border-gray-600 hover:border-blue-300 dark:hover:border-blue-500 hover:bg-blue-50/50 dark:hover:bg-blue-900/20';
+              let iconColor = 'text-gray-400';
+              let showIcon = null;
+              if (isAnswered && isPractice) {
+                if (index === currentQ.correctAnswer) {
+                  btnClass = 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-600 shadow-green-100 dark:shadow-green-900/50';
+                  iconColor = 'text-green-600';
+                  showIcon = <CheckCircle className="w-5 h-5" />;
+                } else if (index === answers[currentQ.id]) {
+                  btnClass = 'bg-red-50 dark:bg-red-900/30 border-red-300 dark:border-red-600 shadow-red-100 dark:shadow-red-900/50';
+                  iconColor = 'text-red-600';
+                  showIcon = <XCircle className="w-5 h-5" />;
+                }
+              } else if (answers[currentQ.id] === index) {
+                btnClass = 'border-blue-400 dark:border-blue-500 bg-blue-50 dark:bg-blue-900/30 shadow-blue-100 dark:shadow-blue-900/50';
+                iconColor = 'text-blue-600';
+              }
+              return (
+                <button
+                  key={index}
+                  onClick={() => onAnswer(index)}
+                  disabled={isAnswered && isPractice}
+                  className={`w-full p-3 sm:p-4 text-left border-2 rounded-xl transition-all duration-200 hover:scale-[1.01] flex items-center gap-3 sm:gap-4 shadow-sm ${btnClass} ${
+                    !(isAnswered && isPractice) ? 'hover:shadow-md' : ''
+                  }`}
+                >
+                  <div className="flex items-center gap-3 flex-1">
+                    <span className={`font-bold text-base sm:text-lg ${iconColor === 'text-gray-400' ? 'text-gray-600 dark:text-gray-300' : iconColor}`}>
+                      {String.fromCharCode(65 + index)}.
+                    </span>
+                    <span className="text-sm sm:text-base text-gray-800 dark:text-gray-200 flex-1">{option}</span>
+                  </div>
+                  {showIcon && (
+                    <div className={iconColor}>
+                      {showIcon}
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+        {/* Explanation Card (Practice Mode Only) */}
+        {isAnswered && isPractice && (
+          <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl shadow-xl border-x border-white/20 dark:border-gray-700/20 p-4 sm:p-6">
+            <div className="flex items-start gap-3 sm:gap-4">
+              <div className={`p-2 sm:p-3 rounded-xl ${isCorrect ? 'bg-green-100 dark:bg-green-900/30' : 'bg-red-100 dark:bg-red-900/30'}`}>
+                {isCorrect ?
+                  <CheckCircle className="w-6 h-6 text-green-600 dark:text-green-400" /> :
+                  <XCircle className="w-6 h-6 text-red-600 dark:text-red-400" />
+                }
+              </div>
+              <div className="flex-1">
+                <h3 className={`font-bold text-base sm:text-lg mb-2 ${isCorrect ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  {isCorrect ? 'Correct Answer!' : 'Incorrect Answer'}
+                </h3>
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 sm:p-4 border border-gray-200 dark:border-gray-600">
+                  <p className="text-sm sm:text-base text-gray-700 dark:text-gray-300 leading-relaxed">
+                    <span className="font-semibold text-gray-800 dark:text-gray-200">Explanation: </span>
+                    {currentQ.explanation}
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+        {/* Navigation Card */}
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-b-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-4 sm:p-6">
+          <div className="flex justify-between items-center gap-2">
+            <button
+              onClick={onPrevious}
+              disabled={currentIndex === 0}
+              className="px-4 sm:px-6 py-3 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:opacity-50 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              <ChevronLeft className="w-5 h-5" />
+              <span className="hidden sm:inline">Previous</span>
+            </button>
+            <div className="flex items-center gap-2 sm:gap-3">
+              <span className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 font-medium">
+                {Object.keys(answers).length} of {questions.length} answered
+              </span>
+              {currentIndex === questions.length - 1 && isExam ? (
+                <button
+                  onClick={onReview}
+                  className="px-4 sm:px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center gap-2 shadow-lg"
+                >
+                  <Award className="w-5 h-5" />
+                  Review & Submit
+                </button>
+              ) : currentIndex === questions.length - 1 ? (
+                <button
+                  onClick={onSubmit}
+                  disabled={!isAnswered}
+                  className="px-4 sm:px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:from-gray-400 disabled:to-gray-500 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2 shadow-lg"
+                >
+                  <Award className="w-5 h-5" />
+                  Finish Session
+                </button>
+              ) : (
+                <button
+                  onClick={onNext}
+                  disabled={!isAnswered && !isExam}
+                  className="px-4 sm:px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold rounded-xl transition-all duration-200 hover:scale-[1.02] disabled:from-gray-400 disabled:to-gray-500 disabled:hover:scale-100 disabled:cursor-not-allowed flex items-center gap-2 shadow-lg"
+                >
+                  {isExam && !isAnswered ? 'Skip' : 'Next Question'}
+                  <ChevronRight className="w-5 h-5" />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+        {/* Question Navigator (Exam Mode Only) */}
+        {isExam && (
+          <div className="mt-4 bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 p-4 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="font-bold text-gray-800 dark:text-gray-100">
+                Questions · {flagged.size} flagged
+              </h3>
+              <button
+                onClick={onReview}
+                className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+              >
+                Review & Submit
+              </button>
+            </div>
+            <QuestionNavigator
+              questions={questions}
+              currentIndex={currentIndex}
+              selectedAnswers={answers}
+              flagged={flagged}
+              onJump={onJump}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionScreen;
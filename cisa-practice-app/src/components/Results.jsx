@@ -0,0 +1,121 @@
+import React from 'react';
+import { BookOpen, Award, BarChart3, Home, Download, Moon, Sun } from 'lucide-react';
+import { estimatePassLikelihood, SCALED_PASS } from '../lib/passEstimate.js';
+import { formatPolicy, formatTime } from '../lib/timerPolicy.js';
+
+// --- Session results screen ---
+// `session` is the record just added to `sessionHistory`.
+const Results = ({ session, sessionHistory, questions, onHome, onReview, onExport, isDarkMode, onToggleDarkMode }) => {
+  const { percentage, domainBreakdown, timerPolicy, seed } = session;
+  const passEstimate = estimatePassLikelihood(sessionHistory, questions);
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
+      <div className="w-full max-w-4xl">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h2 className="text-3xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                Session Complete!
+              </h2>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">
+                Here's how you performed
+                {timerPolicy && ` · ${formatPolicy(timerPolicy)}${timerPolicy.pausedSeconds > 0 ? ` · paused ${formatTime(timerPolicy.pausedSeconds)}` : ''}`}
+                {seed && ` · seed ${seed}`}
+              </p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+          {/* Score Display */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+            <div className="bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-blue-900/20 dark:to-indigo-900/20 rounded-2xl p-8 text-center border border-blue-200/50 dark:border-blue-800/50">
+              <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+                <BarChart3 className="w-8 h-8 text-white" />
+              </div>
+              <p className="text-5xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent mb-2">
+                {percentage}%
+              </p>
+              <p className="text-gray-600 dark:text-gray-300 font-medium">Overall Score</p>
+            </div>
+            <div className="bg-gradient-to-br from-green-50 to-emerald-100 dark:from-green-900/20 dark:to-emerald-900/20 rounded-2xl p-8 text-center border border-green-200/50 dark:border-green-800/50">
+              <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+                <Award className="w-8 h-8 text-white" />
+              </div>
+              <p className="text-5xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent mb-2">
+                {passEstimate ? passEstimate.scaledScore : '—'}
+              </p>
+              <p className="text-gray-600 dark:text-gray-300 font-medium">Projected Scaled Score</p>
+              {passEstimate && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+                  95% range {passEstimate.scaledLow}–{passEstimate.scaledHigh} · pass at {SCALED_PASS} · {Math.round(passEstimate.passProbability * 100)}% chance of passing
+                </p>
+              )}
+            </div>
+          </div>
+          {/* Domain Breakdown */}
+          <div className="mb-8">
+            <h3 className="font-bold text-xl mb-6 text-gray-800 dark:text-gray-100 text-center flex items-center justify-center gap-2">
+              <div className="w-3 h-3 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full"></div>
+              Domain Performance Breakdown
+            </h3>
+            <div className="space-y-4">
+              {Object.entries(domainBreakdown).map(([domain, data]) => {
+                const domainScore = data.total > 0 ? Math.round((data.correct / data.total) * 100) : 0;
+                const getScoreColor = (score) => {
+                  if (score >= 80) return 'from-green-500 to-emerald-500';
+                  if (score >= 70) return 'from-yellow-500 to-amber-500';
+                  if (score >= 60) return 'from-orange-500 to-red-500';
+                  return 'from-red-500 to-red-600';
+                };
+                return (
+                  <div key={domain} className="bg-gray-50/70 dark:bg-gray-700/70 backdrop-blur-sm rounded-xl p-4 border border-gray-200/50 dark:border-gray-600/50">
+                    <div className="flex justify-between items-center mb-3">
+                      <span className="font-medium text-gray-800 dark:text-gray-200 text-sm">{domain}</span>
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{data.correct}/{data.total}</span>
+                        <span className="font-bold text-gray-800 dark:text-gray-200">{domainScore}%</span>
+                      </div>
+                    </div>
+                    <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-3 overflow-hidden">
+                      <div
+                        className={`h-full bg-gradient-to-r ${getScoreColor(domainScore)} rounded-full transition-all duration-500 ease-out`}
+                        style={{ width: `${domainScore}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+          {/* Action Buttons */}
+          <div className="flex flex-col sm:flex-row gap-4">
+            <button
+              onClick={onHome}
+              className="flex-1 bg-gradient-to-r from-gray-500 to-gray-600 hover:from-gray-600 hover:to-gray-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <Home className="w-5 h-5" /> Back to Dashboard
+            </button>
+            <button
+              onClick={onReview}
+              className="flex-1 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <BookOpen className="w-5 h-5" /> Review Answers
+            </button>
+            <button
+              onClick={onExport}
+              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <Download className="w-5 h-5" /> Export Results
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Results;
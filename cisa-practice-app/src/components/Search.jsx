@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { Search as SearchIcon, Play, Bookmark, Home, Moon, Sun } from 'lucide-react';
+import { buildSearchIndex, searchQuestions, highlightSegments } from '../lib/search.js';
+
+const RESULT_LIMIT = 50;
+const SNIPPET_RADIUS = 80;
+
+const selectClass = 'w-full p-2 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50';
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {highlightSegments(text, terms).map((segment, i) => (segment.match
+      ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded px-0.5">{segment.text}</mark>
+      : <React.Fragment key={i}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+// The part of `text` around its first matching word, or null without a match.
+const snippet = (text, terms) => {
+  const segments = highlightSegments(text, terms);
+  let offset = 0;
+  for (const segment of segments) {
+    if (segment.match) {
+      const start = Math.max(0, offset - SNIPPET_RADIUS);
+      const end = Math.min(text.length, offset + segment.text.length + SNIPPET_RADIUS);
+      return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+    offset += segment.text.length;
+  }
+  return null;
+};
+
+// --- Question search screen ---
+const Search = ({ questions, bookmarked, incorrect, onToggleBookmark, onStartPractice, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [query, setQuery] = useState('');
+  const [domain, setDomain] = useState('all');
+  const [difficulty, setDifficulty] = useState('all');
+  const [bookmarkedOnly, setBookmarkedOnly] = useState(false);
+  const [incorrectOnly, setIncorrectOnly] = useState(false);
+
+  const index = useMemo(() => buildSearchIndex(questions), [questions]);
+  const domains = [...new Set(questions.map(q => q.domain))].sort();
+
+  const results = searchQuestions(index, query).filter(({ question: q }) => (
+    (domain === 'all' || q.domain === domain)
+    && (difficulty === 'all' || q.difficulty === Number(difficulty))
+    && (!bookmarkedOnly || bookmarked.has(q.id))
+    && (!incorrectOnly || incorrect.has(q.id))
+  ));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center">
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+              Search Questions
+            </h1>
+            <div className="flex gap-2">
+              <button
+                onClick={onToggleDarkMode}
+                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+              >
+                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+              </button>
+              <button
+                onClick={onBack}
+                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
+              >
+                <Home className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="relative">
+            <SearchIcon className="w-5 h-5 text-gray-400 absolute left-4 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="e.g. continuous auditing scripts"
+              autoFocus
+              className="w-full p-4 pl-12 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-center">
+            <select value={domain} onChange={(e) => setDomain(e.target.value)} className={selectClass}>
+              <option value="all">All domains</option>
+              {domains.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+            <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)} className={selectClass}>
+              <option value="all">Any difficulty</option>
+              {[1, 2, 3, 4, 5].map(level => <option key={level} value={level}>Difficulty {level}</option>)}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={bookmarkedOnly} onChange={(e) => setBookmarkedOnly(e.target.checked)} />
+              Bookmarked only
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={incorrectOnly} onChange={(e) => setIncorrectOnly(e.target.checked)} />
+              Incorrect only
+            </label>
+          </div>
+
+          {query.trim() && (
+            <div className="flex justify-between items-center gap-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {results.length} {results.length === 1 ? 'match' : 'matches'}
+                {results.length > RESULT_LIMIT && ` · showing the top ${RESULT_LIMIT}`}
+              </p>
+              <button
+                onClick={() => onStartPractice(results.map(r => r.question))}
+                disabled={results.length === 0}
+                className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+              >
+                <Play className="w-4 h-4" /> Practice These ({results.length})
+              </button>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {results.slice(0, RESULT_LIMIT).map(({ question: q, terms }) => {
+              const explanationSnippet = snippet(q.explanation, terms);
+              return (
+                <div key={q.id} className="p-4 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl border border-gray-200/50 dark:border-gray-600/50">
+                  <div className="flex justify-between items-start gap-3">
+                    <p className="text-gray-800 dark:text-gray-100 font-medium leading-relaxed flex-1">
+                      <Highlighted text={q.question} terms={terms} />
+                    </p>
+                    <button
+                      onClick={() => onToggleBookmark(q.id)}
+                      className="p-2 rounded-full hover:bg-yellow-50 dark:hover:bg-yellow-900/30 transition-all duration-200 flex-shrink-0"
+                    >
+                      <Bookmark className={`w-5 h-5 ${bookmarked.has(q.id) ? 'fill-yellow-400 text-yellow-500' : 'text-gray-400 dark:text-gray-500'}`} />
+                    </button>
+                  </div>
+                  <ul className="mt-2 text-sm text-gray-600 dark:text-gray-300 grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                    {q.options.map((option, i) => (
+                      <li key={i}>
+                        <span className="font-semibold">{String.fromCharCode(65 + i)}.</span> <Highlighted text={option} terms={terms} />
+                      </li>
+                    ))}
+                  </ul>
+                  {explanationSnippet && (
+                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 italic">
+                      <Highlighted text={explanationSnippet} terms={terms} />
+                    </p>
+                  )}
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    {q.domain}{q.topic && ` · ${q.topic}`} · D{q.difficulty}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { ChevronLeft, Moon, Sun } from 'lucide-react';
+import { compareSessions } from '../lib/sessionHistory.js';
+
+const formatMode = (mode) => mode.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+// --- Side-by-side comparison of two sessions ---
+// `a` is the earlier session, so deltas read as change over time.
+const SessionCompare = ({ a, b, onBack, isDarkMode, onToggleDarkMode }) => {
+  const rows = compareSessions(a, b);
+  const summary = [
+    { label: 'Date', render: s => new Date(s.date).toLocaleString() },
+    { label: 'Mode', render: s => formatMode(s.mode) },
+    { label: 'Score', render: s => `${s.percentage}%` },
+    { label: 'Correct', render: s => `${s.correctAnswers}/${s.totalQuestions}` },
+    { label: 'Time', render: s => `${s.timeSpent} min` },
+  ];
+
+  const deltaClass = (delta) => {
+    if (delta === null || delta === 0) return 'text-gray-500 dark:text-gray-400';
+    return delta > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+  };
+  const formatDelta = (delta) => (delta === null ? '—' : `${delta > 0 ? '+' : ''}${delta}`);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center">
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+              Compare Sessions
+            </h1>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          <div className="overflow-x-auto rounded-xl">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50/80 dark:bg-gray-700/50">
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200"></th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Earlier</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Later</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.map(({ label, render }) => (
+                  <tr key={label} className="border-t border-gray-100 dark:border-gray-600/30">
+                    <td className="p-4 font-medium text-gray-700 dark:text-gray-300">{label}</td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{render(a)}</td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{render(b)}</td>
+                    <td className={`p-4 font-semibold ${label === 'Score' ? deltaClass(b.percentage - a.percentage) : ''}`}>
+                      {label === 'Score' && formatDelta(b.percentage - a.percentage)}
+                    </td>
+                  </tr>
+                ))}
+                {rows.map(({ domain, scoreA, scoreB, delta }) => (
+                  <tr key={domain} className="border-t border-gray-100 dark:border-gray-600/30">
+                    <td className="p-4 font-medium text-gray-700 dark:text-gray-300">{domain}</td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{scoreA === null ? '—' : `${scoreA}%`}</td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{scoreB === null ? '—' : `${scoreB}%`}</td>
+                    <td className={`p-4 font-semibold ${deltaClass(delta)}`}>{formatDelta(delta)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={onBack}
+            className="w-full bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+          >
+            <ChevronLeft className="w-5 h-5" /> Back to History
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionCompare;
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Home, Trash2, GitCompare, StickyNote, Moon, Sun } from 'lucide-react';
+import { EMPTY_HISTORY_FILTERS, HISTORY_PAGE_SIZE, filterSessions, paginate } from '../lib/sessionHistory.js';
+import SessionReview from './SessionReview.jsx';
+import SessionCompare from './SessionCompare.jsx';
+
+const formatMode = (mode) => mode.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+const inputClass = 'w-full p-2 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50';
+
+// --- Session history browser ---
+// Filterable, paginated list of every recorded session. Opening a row shows
+// the full answer review; ticking two rows compares them. The open session
+// is the app's, so each one has its own URL.
+const SessionHistory = ({ sessionHistory, questions, bookmarked, onToggleBookmark, onDelete, onAnnotate, openSessionId = null, onOpenSession, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [comparing, setComparing] = useState(false);
+
+  const openSession = sessionHistory.find(s => s.id === openSessionId);
+  if (openSession) {
+    return (
+      <SessionReview
+        key={openSession.id}
+        session={openSession}
+        questions={questions}
+        bookmarked={bookmarked}
+        onToggleBookmark={onToggleBookmark}
+        onAnnotate={onAnnotate}
+        onBack={() => onOpenSession(null)}
+        backLabel="Back to History"
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={onToggleDarkMode}
+      />
+    );
+  }
+
+  const selected = sessionHistory.filter(s => selectedIds.includes(s.id));
+  if (comparing && selected.length === 2) {
+    // History is newest first, so the second match is the earlier session.
+    return (
+      <SessionCompare
+        a={selected[1]}
+        b={selected[0]}
+        onBack={() => setComparing(false)}
+        isDarkMode={isDarkMode}
+        onToggleDarkMode={onToggleDarkMode}
+      />
+    );
+  }
+
+  const modes = [...new Set(sessionHistory.map(s => s.mode))].sort();
+  const domains = [...new Set(sessionHistory.flatMap(s => Object.keys(s.domainBreakdown || {})))].sort();
+  const filtered = filterSessions(sessionHistory, filters);
+  // Deleting the last row of the last page can leave `page` past the end
+  const currentPage = Math.min(page, Math.max(0, Math.ceil(filtered.length / HISTORY_PAGE_SIZE) - 1));
+  const { items, pageCount } = paginate(filtered, currentPage);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id);
+      // Keep at most two: ticking a third replaces the oldest tick
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleDelete = (session) => {
+    if (!window.confirm(`Delete the ${formatMode(session.mode)} session from ${new Date(session.date).toLocaleString()}? Its results will be removed from your domain statistics.`)) return;
+    setSelectedIds(prev => prev.filter(id => id !== session.id));
+    onDelete(session.id);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-6xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center flex-wrap gap-4">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Session History
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">
+                {filtered.length} of {sessionHistory.length} sessions
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={onToggleDarkMode}
+                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+              >
+                {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+              </button>
+              <button
+                onClick={onBack}
+                className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105 text-gray-600 dark:text-gray-400"
+              >
+                <Home className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Filters */}
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Mode</label>
+              <select value={filters.mode} onChange={(e) => updateFilter('mode', e.target.value)} className={inputClass}>
+                <option value="all">All modes</option>
+                {modes.map(m => <option key={m} value={m}>{formatMode(m)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">From</label>
+              <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">To</label>
+              <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Domain</label>
+              <select value={filters.domain} onChange={(e) => updateFilter('domain', e.target.value)} className={inputClass}>
+                <option value="all">All domains</option>
+                {domains.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Min score %</label>
+              <input type="number" min="0" max="100" value={filters.minScore} onChange={(e) => updateFilter('minScore', Number(e.target.value))} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Max score %</label>
+              <input type="number" min="0" max="100" value={filters.maxScore} onChange={(e) => updateFilter('maxScore', Number(e.target.value))} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="flex justify-between items-center flex-wrap gap-2">
+            <button
+              onClick={() => { setFilters(EMPTY_HISTORY_FILTERS); setPage(0); }}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-sm font-medium transition-all duration-200"
+            >
+              Clear Filters
+            </button>
+            <button
+              onClick={() => setComparing(true)}
+              disabled={selected.length !== 2}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center gap-2 text-sm font-medium transition-all duration-200 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+            >
+              <GitCompare className="w-4 h-4" /> Compare Selected ({selected.length}/2)
+            </button>
+          </div>
+
+          {/* Session Table */}
+          <div className="overflow-x-auto rounded-xl">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50/80 dark:bg-gray-700/50">
+                  <th className="p-4"></th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Date</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Mode</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Score</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Questions</th>
+                  <th className="p-4 text-left font-semibold text-gray-700 dark:text-gray-200">Time</th>
+                  <th className="p-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(s => (
+                  <tr
+                    key={s.id}
+                    onClick={() => onOpenSession(s.id)}
+                    className="border-t border-gray-100 dark:border-gray-600/30 hover:bg-gray-50/50 dark:hover:bg-gray-700/30 transition-colors cursor-pointer"
+                  >
+                    <td className="p-4" onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(s.id)}
+                        onChange={() => toggleSelected(s.id)}
+                        aria-label="Select for comparison"
+                      />
+                    </td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">
+                      {new Date(s.date).toLocaleString()}
+                      {s.note && (
+                        <div className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          <StickyNote className="w-3 h-3" /> {s.note}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-4">
+                      <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200">
+                        {formatMode(s.mode)}
+                      </span>
+                      {s.status === 'incomplete' && (
+                        <span className="ml-2 inline-flex px-2 py-1 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                          Incomplete
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-4 font-bold">
+                      <span className={`${s.percentage >= 75 ? 'text-green-600 dark:text-green-400' : s.percentage >= 65 ? 'text-yellow-600 dark:text-yellow-400' : 'text-red-600 dark:text-red-400'}`}>
+                        {s.percentage}%
+                      </span>
+                    </td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{s.totalQuestions}</td>
+                    <td className="p-4 text-gray-800 dark:text-gray-200">{s.timeSpent} min</td>
+                    <td className="p-4 text-right">
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleDelete(s); }}
+                        title="Delete session"
+                        className="p-2 rounded-full hover:bg-red-50 dark:hover:bg-red-900/30 text-gray-400 hover:text-red-500 transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {items.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="p-8 text-center text-gray-500 dark:text-gray-400">No sessions match these filters.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-1 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4" /> Previous
+            </button>
+            <span className="text-sm text-gray-600 dark:text-gray-400">Page {currentPage + 1} of {pageCount}</span>
+            <button
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-1 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionHistory;
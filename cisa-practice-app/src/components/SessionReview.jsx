@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Bookmark, Flag, Clock, ChevronLeft, Moon, Sun } from 'lucide-react';
+import { SLOW_ANSWER_SECONDS } from '../lib/spacedRepetition.js';
+
+const FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'wrong', label: 'Wrong' },
+  { key: 'flagged', label: 'Flagged' },
+  { key: 'slow', label: 'Slow' },
+];
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+// --- Post-session answer review ---
+// Lists every question in a recorded session with the chosen and correct
+// answers and the explanation (which exams hide until now).
+// Pass `onAnnotate` to allow editing the session's note.
+const SessionReview = ({ session, questions, bookmarked, onToggleBookmark, onAnnotate, onBack, backLabel = 'Back to Results', isDarkMode, onToggleDarkMode }) => {
+  const [filter, setFilter] = useState('all');
+  const [note, setNote] = useState(session.note || '');
+
+  const questionsById = new Map(questions.map(q => [String(q.id), q]));
+  const flagged = new Set(session.flagged || []);
+  const items = (session.questionIds || []).map((id, index) => {
+    const q = questionsById.get(String(id));
+    if (!q) return null;
+    const chosen = session.answers?.[id];
+    const seconds = session.questionTimes?.[id];
+    return {
+      q,
+      index,
+      chosen,
+      isCorrect: chosen === q.correctAnswer,
+      isFlagged: flagged.has(id),
+      seconds,
+      isSlow: seconds !== undefined && seconds > SLOW_ANSWER_SECONDS,
+    };
+  }).filter(Boolean);
+
+  const counts = {
+    all: items.length,
+    wrong: items.filter(i => !i.isCorrect).length,
+    flagged: items.filter(i => i.isFlagged).length,
+    slow: items.filter(i => i.isSlow).length,
+  };
+  const visible = items.filter(i => (
+    filter === 'all'
+    || (filter === 'wrong' && !i.isCorrect)
+    || (filter === 'flagged' && i.isFlagged)
+    || (filter === 'slow' && i.isSlow)
+  ));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center flex-wrap gap-4">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Answer Review
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">
+                {new Date(session.date).toLocaleString()} · {session.correctAnswers}/{session.totalQuestions} correct
+                {session.seed && ` · seed ${session.seed}`}
+              </p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {Object.entries(session.domainBreakdown || {}).map(([domain, stats]) => {
+              const score = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+              return (
+                <div key={domain} className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-3 border border-gray-200/50 dark:border-gray-600/50">
+                  <div className="flex justify-between text-sm mb-2">
+                    <span className="font-medium text-gray-800 dark:text-gray-200">{domain}</span>
+                    <span className="text-gray-600 dark:text-gray-300">{stats.correct}/{stats.total} · {score}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 overflow-hidden">
+                    <div className="h-full bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full" style={{ width: `${score}%` }}></div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {onAnnotate && (
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">Note</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="e.g. tired, rushed the last domain"
+                  className="flex-1 p-3 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50"
+                />
+                <button
+                  onClick={() => onAnnotate(session.id, note.trim())}
+                  disabled={note.trim() === (session.note || '')}
+                  className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg text-sm font-medium transition-all duration-200 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            {FILTERS.map(f => (
+              <button
+                key={f.key}
+                onClick={() => setFilter(f.key)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
+                  filter === f.key
+                    ? 'bg-gradient-to-r from-blue-500 to-indigo-500 text-white shadow-lg'
+                    : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200'
+                }`}
+              >
+                {f.label} ({counts[f.key]})
+              </button>
+            ))}
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No questions match this filter.</p>
+          ) : (
+            <div className="space-y-4">
+              {visible.map(({ q, index, chosen, isCorrect, isFlagged, seconds, isSlow }) => (
+                <div key={q.id} className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-5 border border-gray-200/50 dark:border-gray-600/50">
+                  <div className="flex justify-between items-start gap-4 mb-4">
+                    <div className="flex items-start gap-3 flex-1">
+                      {isCorrect
+                        ? <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0 mt-0.5" />
+                        : <XCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />}
+                      <div>
+                        <p className="font-semibold text-gray-800 dark:text-gray-100 leading-relaxed">
+                          <span className="text-blue-600 dark:text-blue-400 font-bold mr-2">{index + 1}.</span>
+                          {q.question}
+                        </p>
+                        <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-gray-500 dark:text-gray-400">
+                          <span>{q.domain}</span>
+                          <span className={`flex items-center gap-1 ${isSlow ? 'text-orange-600 dark:text-orange-400 font-semibold' : ''}`}>
+                            <Clock className="w-3 h-3" /> {seconds !== undefined ? `${seconds}s` : 'Not timed'}
+                          </span>
+                          {isFlagged && (
+                            <span className="flex items-center gap-1 text-orange-600 dark:text-orange-400">
+                              <Flag className="w-3 h-3" /> Flagged
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => onToggleBookmark(q.id)}
+                      title={bookmarked.has(q.id) ? 'Remove bookmark' : 'Bookmark'}
+                      className="p-2 rounded-full hover:bg-yellow-50 dark:hover:bg-yellow-900/30 transition-all duration-200 hover:scale-105 flex-shrink-0"
+                    >
+                      <Bookmark
+                        className={`w-5 h-5 transition-colors ${
+                          bookmarked.has(q.id)
+                            ? 'fill-yellow-400 text-yellow-500'
+                            : 'text-gray-400 dark:text-gray-500 hover:text-yellow-500'
+                        }`}
+                      />
+                    </button>
+                  </div>
+                  <ul className="space-y-2 mb-4">
+                    {q.options.map((option, i) => {
+                      let optionClass = 'border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300';
+                      if (i === q.correctAnswer) optionClass = 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-600 text-gray-800 dark:text-gray-100';
+                      else if (i === chosen) optionClass = 'bg-red-50 dark:bg-red-900/30 border-red-300 dark:border-red-600 text-gray-800 dark:text-gray-100';
+                      return (
+                        <li key={i} className={`p-3 border rounded-lg text-sm flex gap-2 ${optionClass}`}>
+                          <span className="font-bold">{letter(i)}.</span>
+                          <span className="flex-1">{option}</span>
+                          {i === chosen && <span className="text-xs font-semibold">Your answer</span>}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  {chosen === undefined && (
+                    <p className="text-sm text-red-600 dark:text-red-400 mb-3">Not answered · correct answer {letter(q.correctAnswer)}</p>
+                  )}
+                  <div className="bg-white/70 dark:bg-gray-800/70 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
+                    <p className="text-sm text-gray-700 dark:text-gray-300 leading-relaxed">
+                      <span className="font-semibold text-gray-800 dark:text-gray-200">Explanation: </span>
+                      {q.explanation}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={onBack}
+            className="w-full bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+          >
+            <ChevronLeft className="w-5 h-5" /> {backLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionReview;
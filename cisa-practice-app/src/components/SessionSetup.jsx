@@ -0,0 +1,222 @@
+import React from 'react';
+import { Play, Moon, Sun } from 'lucide-react';
+import { matchesTaxonomyFilter } from '../lib/taxonomy.js';
+import { TIMER_MODES, TIME_EXTENSIONS, getExamDurationSeconds, formatTime } from '../lib/timerPolicy.js';
+
+// --- Practice and exam setup screen ---
+// `settings` holds the choices (see DEFAULT_SESSION_SETTINGS); `onUpdate`
+// merges changes into them.
+const SessionSetup = ({ isExam, settings, questions, domains, onUpdate, onStart, onOpenBuilder, onBack, isDarkMode, onToggleDarkMode }) => {
+  const domainQuestionCount = questions.filter(q => matchesTaxonomyFilter(q, settings)).length;
+  const domainQuestions = questions.filter(q => q.domain === settings.domain);
+  const subdomainOptions = [...new Set(domainQuestions.map(q => q.subdomain).filter(Boolean))].sort();
+  const topicOptions = [...new Set(domainQuestions.filter(q => q.subdomain === settings.subdomain).map(q => q.topic).filter(Boolean))].sort();
+  const countMatching = (filter) => questions.filter(q => matchesTaxonomyFilter(q, filter)).length;
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4 flex items-center justify-center">
+      <div className="w-full max-w-2xl">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8">
+          <div className="flex justify-between items-center mb-8">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                {isExam ? "Exam Configuration" : "Practice Setup"}
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">Configure your session parameters</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+          <div className="space-y-6">
+            {isExam ? (
+              <div className="space-y-3">
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                  Exam Duration & Questions
+                </label>
+                <select
+                  value={settings.examCount}
+                  onChange={(e) => onUpdate({ examCount: Number(e.target.value) })}
+                  className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                >
+                  <option value={150}>150 Questions (4 hours) - Full Exam</option>
+                  <option value={100}>100 Questions (~2h 40m) - Practice Exam</option>
+                  <option value={50}>50 Questions (~1h 20m) - Quick Test</option>
+                </select>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 pt-3">
+                  Timer Policy
+                </label>
+                <select
+                  value={settings.timerMode}
+                  onChange={(e) => onUpdate({ timerMode: e.target.value })}
+                  className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                >
+                  {Object.entries(TIMER_MODES).map(([key, policy]) => (
+                    <option key={key} value={key}>{policy.label} - {policy.description}</option>
+                  ))}
+                </select>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 pt-3">
+                  Time Accommodation
+                </label>
+                <select
+                  value={settings.timeExtension}
+                  onChange={(e) => onUpdate({ timeExtension: Number(e.target.value) })}
+                  className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                >
+                  {TIME_EXTENSIONS.map(e => (
+                    <option key={e.value} value={e.value}>{e.label}</option>
+                  ))}
+                </select>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Time allowed: <span className="font-semibold">{formatTime(getExamDurationSeconds(settings.examCount, settings.timeExtension))}</span>
+                </p>
+              </div>
+            ) : (
+              <>
+                {/* --- Enhancement: Adaptive Toggle --- */}
+                <div className="flex items-center justify-between p-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
+                  <div>
+                    <div className="font-semibold text-gray-800 dark:text-gray-200">Adaptive Practice</div>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">Prioritize weak areas & adjust difficulty</div>
+                  </div>
+                  <button
+                    onClick={() => onUpdate({ adaptive: !settings.adaptive })}
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none ${
+                      settings.adaptive ? 'bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'
+                    }`}
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                        settings.adaptive ? 'translate-x-6' : 'translate-x-1'
+                      }`}
+                    />
+                  </button>
+                </div>
+
+                <div className="space-y-3">
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                    Knowledge Domain
+                  </label>
+                  <select
+                    value={settings.domain}
+                    onChange={(e) => onUpdate({ domain: e.target.value, subdomain: 'all', topic: 'all' })}
+                    className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                  >
+                    <option value="all">All Domains ({questions.length} questions)</option>
+                    {domains.map(d => (
+                      <option key={d} value={d}>{d} ({questions.filter(q => q.domain === d).length} questions)</option>
+                    ))}
+                  </select>
+                  {subdomainOptions.length > 0 && (
+                    <select
+                      value={settings.subdomain}
+                      onChange={(e) => onUpdate({ subdomain: e.target.value, topic: 'all' })}
+                      className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                    >
+                      <option value="all">All Subdomains</option>
+                      {subdomainOptions.map(sd => (
+                        <option key={sd} value={sd}>{sd} ({countMatching({ domain: settings.domain, subdomain: sd })} questions)</option>
+                      ))}
+                    </select>
+                  )}
+                  {topicOptions.length > 0 && (
+                    <select
+                      value={settings.topic}
+                      onChange={(e) => onUpdate({ topic: e.target.value })}
+                      className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+                    >
+                      <option value="all">All Topics</option>
+                      {topicOptions.map(t => (
+                        <option key={t} value={t}>{t} ({countMatching({ domain: settings.domain, subdomain: settings.subdomain, topic: t })} questions)</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <div className="space-y-3">
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                    Number of Questions: {settings.practiceCount}
+                  </label>
+                  <div className="space-y-3">
+                    <input
+                      type="range"
+                      min="1"
+                      max={domainQuestionCount}
+                      value={settings.practiceCount}
+                      onChange={(e) => onUpdate({ practiceCount: parseInt(e.target.value) })}
+                      className="w-full h-2 bg-gray-200 dark:bg-gray-600 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                      <span>1</span>
+                      <span className="font-medium text-blue-600 dark:text-blue-400">{settings.practiceCount}</span>
+                      <span>{domainQuestionCount}</span>
+                    </div>
+                  </div>
+                </div>
+                <button
+                  onClick={() => onOpenBuilder()}
+                  className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Need several domains, difficulty ranges or status filters? Open the custom set builder
+                </button>
+              </>
+            )}
+
+            <div className="flex items-center justify-between p-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
+              <div>
+                <div className="font-semibold text-gray-800 dark:text-gray-200">Shuffle Answer Options</div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">Stop memorising letter positions</div>
+              </div>
+              <button
+                onClick={() => onUpdate({ optionShuffle: !settings.optionShuffle })}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none ${
+                  settings.optionShuffle ? 'bg-blue-500' : 'bg-gray-300 dark:bg-gray-600'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    settings.optionShuffle ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            <div className="space-y-3">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                Seed (optional)
+              </label>
+              <input
+                type="text"
+                value={settings.seed}
+                onChange={(e) => onUpdate({ seed: e.target.value })}
+                placeholder="Leave blank for a new random session"
+                className="w-full p-4 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-gray-100 transition-all duration-200 bg-white/50 dark:bg-gray-700/50 backdrop-blur-sm"
+              />
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Enter the seed shown on a results screen to replay the same questions in the same order (same bank and settings).
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-4 mt-8">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back to Dashboard
+            </button>
+            <button
+              onClick={onStart}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <Play className="w-5 h-5" />
+              {isExam ? 'Start Exam' : 'Start Practice'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionSetup;
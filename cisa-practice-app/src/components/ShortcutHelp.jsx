@@ -0,0 +1,39 @@
+import React from 'react';
+import { Keyboard, X } from 'lucide-react';
+import { SHORTCUTS } from '../lib/shortcuts.js';
+
+// --- Keyboard shortcut overlay ---
+const ShortcutHelp = ({ isExam, onClose }) => (
+  <div onClick={onClose} className="fixed inset-0 z-50 bg-slate-900/70 backdrop-blur-md flex items-center justify-center p-4">
+    <div onClick={(e) => e.stopPropagation()} className="bg-white/90 dark:bg-gray-800/90 rounded-2xl shadow-2xl p-8 max-w-md w-full">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
+          <Keyboard className="w-6 h-6 text-blue-500" /> Keyboard Shortcuts
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400 transition-all duration-200"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <ul className="space-y-3">
+        {SHORTCUTS.filter(s => isExam || !s.examOnly).map(s => (
+          <li key={s.description} className="flex justify-between items-center gap-4">
+            <span className="text-gray-700 dark:text-gray-300">{s.description}</span>
+            <span className="flex gap-1 flex-shrink-0">
+              {s.keys.map(key => (
+                <kbd key={key} className="px-2 py-1 text-xs font-mono font-semibold bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-gray-800 dark:text-gray-200">
+                  {key}
+                </kbd>
+              ))}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-6">Press ? or Esc to close.</p>
+    </div>
+  </div>
+);
+
+export default ShortcutHelp;
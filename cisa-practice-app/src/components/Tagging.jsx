@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Download, CheckCircle, Moon, Sun } from 'lucide-react';
+import { getSubdomains, getTopics, applyTagsToRows } from '../lib/taxonomy.js';
+import { downloadFile } from '../lib/exportCsv.js';
+
+const PAGE_SIZE = 20;
+
+const SOURCE_LABELS = {
+  manual: 'Saved',
+  bank: 'Bank',
+  auto: 'Auto',
+  untagged: 'Untagged',
+};
+
+const SOURCE_CLASSES = {
+  manual: 'bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-200',
+  bank: 'bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200',
+  auto: 'bg-yellow-100 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-200',
+  untagged: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+};
+
+const selectClass = 'w-full p-2 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-gray-100 bg-white/50 dark:bg-gray-700/50';
+
+const sourceOf = (q) => q.tagSource || 'untagged';
+
+// --- Topic tagging screen ---
+// `questions` are the transformed questions of `rows`, in the same order.
+// Auto-tags are suggestions until saved; saved tags override everything.
+const Tagging = ({ bankName, rows, questions, onUpdateTags, onBack, isDarkMode, onToggleDarkMode }) => {
+  const [domain, setDomain] = useState('all');
+  const [source, setSource] = useState('all');
+  const [page, setPage] = useState(0);
+
+  const counts = questions.reduce((acc, q) => ({ ...acc, [sourceOf(q)]: (acc[sourceOf(q)] || 0) + 1 }), {});
+  const domains = [...new Set(questions.map(q => q.domain))].sort();
+  const filtered = questions.filter(q => (domain === 'all' || q.domain === domain) && (source === 'all' || sourceOf(q) === source));
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = filtered.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+  const autoTagged = filtered.filter(q => q.tagSource === 'auto');
+
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(0);
+  };
+
+  const setSubdomain = (q, subdomain) => onUpdateTags({ [q.id]: subdomain ? { subdomain, topic: null } : null });
+  const setTopic = (q, topic) => onUpdateTags({ [q.id]: { subdomain: q.subdomain, topic: topic || null } });
+
+  const acceptAutoTags = () => {
+    onUpdateTags(Object.fromEntries(autoTagged.map(q => [q.id, { subdomain: q.subdomain, topic: q.topic }])));
+  };
+
+  const downloadTaggedBank = () => {
+    downloadFile(`${bankName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-tagged.json`, JSON.stringify(applyTagsToRows(rows, questions), null, 2), 'application/json');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 dark:from-gray-900 dark:via-slate-800 dark:to-gray-900 p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-8 space-y-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                Topic Tagging
+              </h1>
+              <p className="text-gray-600 dark:text-gray-300 mt-2">{bankName} · {questions.length - (counts.untagged || 0)} of {questions.length} questions tagged</p>
+            </div>
+            <button
+              onClick={onToggleDarkMode}
+              className="p-3 rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-200 hover:scale-105"
+            >
+              {isDarkMode ? <Sun className="w-5 h-5 text-yellow-500" /> : <Moon className="w-5 h-5 text-gray-600" />}
+            </button>
+          </div>
+
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Questions without a saved tag or Subdomain/Topic columns are tagged automatically from keywords in the
+            question, options and explanation. Review the suggestions, correct any that are wrong, and save them.
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+            {Object.entries(SOURCE_LABELS).map(([key, label]) => (
+              <div key={key} className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-3">
+                <div className="text-2xl font-bold text-gray-800 dark:text-gray-100">{counts[key] || 0}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Domain</label>
+              <select value={domain} onChange={changeFilter(setDomain)} className={selectClass}>
+                <option value="all">All domains</option>
+                {domains.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Tag source</label>
+              <select value={source} onChange={changeFilter(setSource)} className={selectClass}>
+                <option value="all">Any</option>
+                {Object.entries(SOURCE_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </div>
+            <button
+              onClick={acceptAutoTags}
+              disabled={autoTagged.length === 0}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white rounded-lg flex items-center justify-center gap-2 text-sm font-medium transition-all duration-200 shadow-lg disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed"
+            >
+              <CheckCircle className="w-4 h-4" /> Save {autoTagged.length} Auto-Tags
+            </button>
+          </div>
+
+          <div className="space-y-3">
+            {visible.map(q => {
+              const subdomains = getSubdomains(q.domain);
+              const topics = getTopics(q.domain, q.subdomain);
+              return (
+                <div key={q.id} className="p-4 bg-gray-50/70 dark:bg-gray-700/70 rounded-xl border border-gray-200/50 dark:border-gray-600/50">
+                  <div className="flex justify-between items-start gap-3 mb-3">
+                    <p className="text-sm text-gray-800 dark:text-gray-200 line-clamp-2 flex-1">{q.question}</p>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${SOURCE_CLASSES[sourceOf(q)]}`}>
+                      {SOURCE_LABELS[sourceOf(q)]}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-2 items-center">
+                    <select value={q.subdomain || ''} onChange={(e) => setSubdomain(q, e.target.value)} className={selectClass} disabled={subdomains.length === 0}>
+                      <option value="">{subdomains.length === 0 ? 'No taxonomy for this domain' : 'Subdomain…'}</option>
+                      {subdomains.map(sd => <option key={sd} value={sd}>{sd}</option>)}
+                    </select>
+                    <select value={q.topic || ''} onChange={(e) => setTopic(q, e.target.value)} className={selectClass} disabled={topics.length === 0}>
+                      <option value="">Topic…</option>
+                      {topics.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    {q.tagSource === 'manual' ? (
+                      <button
+                        onClick={() => onUpdateTags({ [q.id]: null })}
+                        className="px-3 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg text-xs font-medium"
+                      >
+                        Reset
+                      </button>
+                    ) : <span />}
+                  </div>
+                </div>
+              );
+            })}
+            {visible.length === 0 && (
+              <p className="text-center text-gray-500 dark:text-gray-400 py-8">No questions match these filters.</p>
+            )}
+          </div>
+
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-1 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4" /> Previous
+            </button>
+            <span className="text-sm text-gray-600 dark:text-gray-400">Page {currentPage + 1} of {pageCount}</span>
+            <button
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 rounded-lg flex items-center gap-1 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4">
+            <button
+              onClick={onBack}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-100 font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+            >
+              Back
+            </button>
+            <button
+              onClick={downloadTaggedBank}
+              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-200 hover:scale-[1.02] flex items-center justify-center gap-2"
+            >
+              <Download className="w-5 h-5" /> Download Tagged Bank
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Tagging;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { TAXONOMY_LEVELS, aggregateByTaxonomy } from '../lib/taxonomy.js';
+
+// --- Dashboard card: accuracy by domain, subdomain or topic ---
+// Aggregates questionPerformance, so every answer ever given counts once.
+const TaxonomyPerformance = ({ questions, questionPerformance }) => {
+  const [level, setLevel] = useState('topic');
+  const rows = aggregateByTaxonomy(questions, questionPerformance, level).filter(r => r.total > 0);
+
+  return (
+    <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 mb-8">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-3">
+        <h3 className="font-bold text-lg text-gray-800 dark:text-gray-100 flex items-center gap-2">
+          <div className="w-2 h-2 bg-teal-500 rounded-full"></div>
+          Performance by {TAXONOMY_LEVELS.find(l => l.key === level).label}
+        </h3>
+        <div className="flex gap-2">
+          {TAXONOMY_LEVELS.map(l => (
+            <button
+              key={l.key}
+              onClick={() => setLevel(l.key)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-all duration-200 ${
+                level === l.key
+                  ? 'bg-gradient-to-r from-blue-500 to-indigo-500 text-white shadow'
+                  : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200'
+              }`}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Answer some practice questions to see results here.</p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+          {rows.map(row => (
+            <div key={row.key}>
+              <div className="flex justify-between text-sm mb-1 gap-4">
+                <div>
+                  <span className="font-medium text-gray-800 dark:text-gray-200">{row.label}</span>
+                  {level !== 'domain' && (
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {level === 'topic' ? `${row.domain} · ${row.subdomain || 'Untagged'}` : row.domain}
+                    </span>
+                  )}
+                </div>
+                <span className="text-gray-600 dark:text-gray-300 whitespace-nowrap">{row.correct}/{row.total} · {row.accuracy}%</span>
+              </div>
+              <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-2 overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${row.accuracy >= 75 ? 'bg-green-500' : row.accuracy >= 65 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                  style={{ width: `${row.accuracy}%` }}
+                ></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxonomyPerformance;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import { EXAM_PACE_SECONDS } from '../lib/spacedRepetition.js';
+
+const tooltipStyle = {
+  backgroundColor: 'rgba(255, 255, 255, 0.95)',
+  border: 'none',
+  borderRadius: '12px',
+  boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)'
+};
+
+// --- Dashboard card: time management ---
+// `analytics` is the result of getTimeAnalytics().
+const TimeAnalytics = ({ analytics }) => (
+  <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-sm p-6 rounded-2xl shadow-xl border border-white/20 dark:border-gray-700/20 mb-8">
+    <h3 className="font-bold text-lg mb-4 text-gray-800 dark:text-gray-100 flex items-center gap-2">
+      <div className="w-2 h-2 bg-orange-500 rounded-full"></div>
+      Time Management
+    </h3>
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+      <div className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-4 text-center">
+        <p className="text-2xl font-bold text-gray-800 dark:text-gray-100">{analytics.averageSeconds}s</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">Average per question</p>
+      </div>
+      <div className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-4 text-center">
+        <p className={`text-2xl font-bold ${analytics.overPaceShare > 0.25 ? 'text-red-600 dark:text-red-400' : 'text-gray-800 dark:text-gray-100'}`}>
+          {Math.round(analytics.overPaceShare * 100)}%
+        </p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">Over the {EXAM_PACE_SECONDS}s exam pace</p>
+      </div>
+      <div className="bg-gray-50/70 dark:bg-gray-700/70 rounded-xl p-4 text-center">
+        <p className="text-2xl font-bold text-gray-800 dark:text-gray-100">{analytics.timedCount}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">Timed answers</p>
+      </div>
+    </div>
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+      <div>
+        <p className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Average Seconds by Domain</p>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={analytics.byDomain} layout="vertical" margin={{ top: 5, right: 20, left: 120, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis type="number" stroke="#64748b" />
+              <YAxis type="category" dataKey="domain" width={120} interval={0} stroke="#64748b" fontSize={12} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Bar dataKey="averageSeconds" name="Seconds" fill="#F97316" radius={[0, 4, 4, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      <div>
+        <p className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Accuracy by Time Spent</p>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={analytics.accuracyByTime}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="label" stroke="#64748b" fontSize={12} />
+              <YAxis domain={[0, 100]} stroke="#64748b" />
+              <Tooltip contentStyle={tooltipStyle} formatter={(value, name, item) => [`${value}% (${item.payload.total} answers)`, 'Accuracy']} />
+              <Bar dataKey="accuracy" fill="#10B981" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default TimeAnalytics;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, WifiOff, X } from 'lucide-react';
+import { registerServiceWorker, applyUpdate } from '../lib/serviceWorker.js';
+
+// --- Offline and update notices ---
+// Registers the service worker. A new build, including one that ships a new
+// question bank, waits until the user reloads from here.
+const UpdatePrompt = () => {
+  const [offlineReady, setOfflineReady] = useState(false);
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => registerServiceWorker({
+    onOfflineReady: () => setOfflineReady(true),
+    onUpdateReady: (registration) => setWaiting(registration),
+  }), []);
+
+  if (!waiting && !offlineReady) return null;
+  return (
+    <div className="fixed bottom-4 inset-x-4 sm:left-auto sm:w-96 z-50 bg-white/90 dark:bg-gray-800/90 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 dark:border-gray-700/20 p-4 flex items-start gap-3">
+      {waiting
+        ? <RefreshCw className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+        : <WifiOff className="w-5 h-5 text-green-500 flex-shrink-0 mt-0.5" />}
+      <div className="flex-1 text-sm">
+        <p className="font-semibold text-gray-800 dark:text-gray-100">
+          {waiting ? 'Update available' : 'Ready to work offline'}
+        </p>
+        <p className="text-gray-600 dark:text-gray-400">
+          {waiting
+            ? 'A new version of the app or question bank is ready. Your progress and any unfinished session are kept.'
+            : 'The app and question bank are saved on this device.'}
+        </p>
+        {waiting && (
+          <button
+            onClick={() => applyUpdate(waiting)}
+            className="mt-3 bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold py-2 px-4 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+          >
+            Reload
+          </button>
+        )}
+      </div>
+      <button
+        onClick={() => (waiting ? setWaiting(null) : setOfflineReady(false))}
+        title={waiting ? 'Update later' : 'Dismiss'}
+        className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400 transition-all duration-200"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
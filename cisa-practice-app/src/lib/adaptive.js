@@ -0,0 +1,80 @@
+import { daysOverdue } from './spacedRepetition.js';
+
+// --- Adaptive practice helpers ---
+
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 5;
+const STREAK_LENGTH = 2;
+
+// Length and direction of the run at the end of `results` (booleans in the
+// order the questions were answered).
+export const getTrailingStreak = (results) => {
+  if (results.length === 0) return { correct: false, length: 0 };
+  const last = results[results.length - 1];
+  let length = 0;
+  for (let i = results.length - 1; i >= 0 && results[i] === last; i--) length++;
+  return { correct: last, length };
+};
+
+// Two correct in a row steps difficulty up, two incorrect in a row steps it down.
+export const getNextDifficulty = (results, currentDifficulty) => {
+  const streak = getTrailingStreak(results);
+  if (streak.length < STREAK_LENGTH) return currentDifficulty;
+  return streak.correct
+    ? Math.min(MAX_DIFFICULTY, currentDifficulty + 1)
+    : Math.max(MIN_DIFFICULTY, currentDifficulty - 1);
+};
+
+// Picks the question to serve in place of `planned`: same domain, not already
+// in the session, closest to the target difficulty. Keeps `planned` when it is
+// already at least as close as any alternative.
+export const pickAdaptiveQuestion = ({ planned, pool, sessionIds, targetDifficulty, rng = Math.random }) => {
+  const distance = (q) => Math.abs(q.difficulty - targetDifficulty);
+  const candidates = pool.filter(q => q.domain === planned.domain && !sessionIds.has(q.id));
+  if (candidates.length === 0) return planned;
+  const best = Math.min(...candidates.map(distance));
+  if (distance(planned) <= best) return planned;
+  const closest = candidates.filter(q => distance(q) === best);
+  return closest[Math.floor(rng() * closest.length)];
+};
+
+// --- Adaptive Question Selection ---
+// Ranks `pool` by how much practice each question needs and returns the top
+// `numQuestions`: weak domains, weak questions and overdue reviews rise.
+export const selectAdaptiveQuestions = (pool, numQuestions, { domainPerformance, questionPerformance }) => {
+  if (pool.length === 0) return [];
+
+  // --- 1. Smart Question Selection ---
+  // Weight questions based on domain weakness and individual question performance
+  const weightedPool = pool.map(q => {
+    let weight = 1.0;
+
+    // Weigh by Domain Performance
+    const domainStats = domainPerformance[q.domain] || { correct: 0, total: 0 };
+    const domainAccuracy = domainStats.total > 0 ? domainStats.correct / domainStats.total : 1.0;
+    // Lower domain accuracy increases weight (e.g., 1 - 0.8 = 0.2 vs 1 - 0.2 = 0.8)
+    weight *= (1 - domainAccuracy) + 0.5; // Add 0.5 to ensure even strong domains have some chance
+
+    // Weigh by Individual Question Performance
+    const qStats = questionPerformance[q.id] || { correctCount: 0, totalCount: 0 };
+    if (qStats.totalCount > 0) {
+      const qAccuracy = qStats.correctCount / qStats.totalCount;
+      // Lower question accuracy increases weight
+      weight *= (1 - qAccuracy) + 0.3; // Add 0.3 to ensure recently correct questions still appear
+    }
+
+    // Weigh by Spaced Repetition Schedule
+    // Overdue reviews rise with each day late; questions scheduled well into the future sink.
+    const overdue = daysOverdue(qStats);
+    if (overdue !== null) {
+      weight *= overdue >= 0 ? 1.5 + Math.min(overdue, 10) * 0.1 : 0.5;
+    }
+
+    return { question: q, weight };
+  });
+
+  // Sort by weight descending (higher weight = higher priority); the
+  // difficulty is then adjusted question by question during the session.
+  weightedPool.sort((a, b) => b.weight - a.weight);
+  return weightedPool.slice(0, numQuestions).map(entry => entry.question);
+};
@@ -0,0 +1,128 @@
+import { CISA_DOMAIN_WEIGHTS, normalizeDomain } from './domains.js';
+import { isKnownTag } from './taxonomy.js';
+import { parseExplanationMarkers } from './shuffle.js';
+
+// --- Question bank validator ---
+// Works on raw bank rows (the qae.json / import schema) rather than
+// transformed questions, because transformQuestions silently repairs the
+// very problems reported here. Runs in the browser ("Bank health" view) and
+// under Node (scripts/lint-bank.js).
+
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+const NEAR_DUPLICATE_THRESHOLD = 0.9;
+
+export const VALIDATION_RULES = {
+  'missing-question': { severity: 'error', label: 'Missing question text' },
+  'invalid-answer': { severity: 'error', label: 'Invalid answer letter' },
+  'answer-empty-option': { severity: 'error', label: 'Answer points at an empty option' },
+  'duplicate-stem': { severity: 'error', label: 'Duplicate question stem' },
+  'unknown-domain': { severity: 'warning', label: 'Unknown domain' },
+  'unknown-tag': { severity: 'warning', label: 'Subdomain/topic not in the CISA taxonomy' },
+  'near-duplicate-stem': { severity: 'warning', label: 'Near-duplicate question stem' },
+  'missing-explanation': { severity: 'warning', label: 'Missing explanation' },
+  'explanation-missing-answer': { severity: 'warning', label: 'Explanation does not mention the correct letter' },
+  'unshufflable-explanation': { severity: 'warning', label: 'Explanation markers cannot follow shuffled options' },
+};
+
+const normalizeStem = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+// Explanations in the bundled bank are written as "A. ... B. ... C. ...",
+// so the correct letter should appear as a "<letter>." marker.
+const mentionsLetter = (explanation, letter) => new RegExp(`(^|[\\s(])${letter}[.)]`).test(explanation);
+
+const checkRow = (row, index) => {
+  const issues = [];
+  const add = (rule, message) => issues.push({ rule, severity: VALIDATION_RULES[rule].severity, index, message });
+
+  if (!row.Question || !String(row.Question).trim()) add('missing-question', 'Question text is empty');
+
+  const answer = String(row.CorrectAnswer || '').trim().toUpperCase();
+  if (!ANSWER_LETTERS.includes(answer)) {
+    add('invalid-answer', `CorrectAnswer "${row.CorrectAnswer ?? ''}" is not one of A-D (would be scored as A)`);
+  } else if (!row[`Option${answer}`] || !String(row[`Option${answer}`]).trim()) {
+    add('answer-empty-option', `CorrectAnswer ${answer} points at an empty Option${answer}`);
+  }
+
+  const domain = normalizeDomain(row.Domain);
+  if (!(domain in CISA_DOMAIN_WEIGHTS)) add('unknown-domain', `Domain "${row.Domain ?? ''}" is not a CISA domain`);
+  else if (row.Subdomain && !isKnownTag(domain, row.Subdomain, row.Topic)) {
+    add('unknown-tag', `"${[row.Subdomain, row.Topic].filter(Boolean).join(' / ')}" is not a ${domain} subdomain/topic`);
+  }
+
+  if (!row.Explanation || !String(row.Explanation).trim()) {
+    add('missing-explanation', 'Explanation is empty');
+  } else {
+    if (ANSWER_LETTERS.includes(answer) && !mentionsLetter(row.Explanation, answer)) {
+      add('explanation-missing-answer', `Explanation never refers to option ${answer}`);
+    }
+    // Option shuffling leaves these questions in bank order (see lib/shuffle.js)
+    const optionCount = ANSWER_LETTERS.filter(letter => row[`Option${letter}`] && String(row[`Option${letter}`]).trim()).length;
+    if (parseExplanationMarkers(row.Explanation, optionCount) === null) {
+      add('unshufflable-explanation', 'Rationale markers are not a single A, B, C, D run, so shuffling keeps the bank\'s option order');
+    }
+  }
+  return issues;
+};
+
+const checkDuplicates = (rows) => {
+  const issues = [];
+  const stems = rows.map((row, index) => {
+    const text = normalizeStem(row.Question);
+    return { index, text, tokens: new Set(text.split(' ').filter(Boolean)) };
+  }).filter(s => s.text);
+
+  const seen = new Map();
+  stems.forEach(stem => {
+    const original = seen.get(stem.text);
+    if (original) {
+      issues.push({ rule: 'duplicate-stem', severity: VALIDATION_RULES['duplicate-stem'].severity, index: stem.index, relatedIndex: original.index, message: `Same stem as question ${original.index + 1}` });
+    } else {
+      seen.set(stem.text, stem);
+    }
+  });
+
+  // Only stems whose token counts are within the threshold ratio can reach it,
+  // so sorting by size keeps the pairwise scan short.
+  const unique = [...seen.values()].sort((a, b) => a.tokens.size - b.tokens.size);
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      if (unique[i].tokens.size < unique[j].tokens.size * NEAR_DUPLICATE_THRESHOLD) break;
+      const similarity = jaccard(unique[i].tokens, unique[j].tokens);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+        const [first, second] = [unique[i].index, unique[j].index].sort((a, b) => a - b);
+        issues.push({ rule: 'near-duplicate-stem', severity: VALIDATION_RULES['near-duplicate-stem'].severity, index: second, relatedIndex: first, message: `${Math.round(similarity * 100)}% similar to question ${first + 1}` });
+      }
+    }
+  }
+  return issues;
+};
+
+// Returns { issues, summary } where issues are sorted by row index and
+// summary counts issues per rule and severity.
+export const validateQuestionBank = (rows) => {
+  const issues = [
+    ...rows.flatMap((row, index) => checkRow(row, index)),
+    ...checkDuplicates(rows),
+  ].sort((a, b) => a.index - b.index);
+
+  const summary = {
+    total: rows.length,
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    byRule: Object.keys(VALIDATION_RULES).reduce((acc, rule) => {
+      acc[rule] = issues.filter(i => i.rule === rule).length;
+      return acc;
+    }, {}),
+  };
+  return { issues, summary };
+};
@@ -0,0 +1,175 @@
+import Papa from 'papaparse';
+
+// --- Item difficulty calibration ---
+// Estimates question difficulty (and, with multi-respondent logs, discrimination)
+// from response data. Results are keyed by question ID:
+// { [id]: { difficulty, b, a, responses, method } }
+// where `difficulty` is the 1-5 level used by the app, `b` the logit-scale
+// difficulty and `a` the discrimination (null when it can't be estimated).
+
+const MIN_RESPONSES = 3;
+const MAX_ITERATIONS = 100;
+const CONVERGENCE = 1e-4;
+const THETA_LIMIT = 4;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// Smoothed proportion keeps all-correct / all-wrong items finite.
+const smoothedP = (correct, total) => (correct + 0.5) / (total + 1);
+
+// Logit difficulty bins for the 1-5 scale; b = 0 is an item answered
+// correctly by half of average candidates.
+export const difficultyLevel = (b) => {
+  if (b <= -1.5) return 1;
+  if (b <= -0.5) return 2;
+  if (b <= 0.5) return 3;
+  if (b <= 1.5) return 4;
+  return 5;
+};
+
+const roundTo = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const toResult = (b, a, responses, method) => ({
+  difficulty: difficultyLevel(b),
+  b: roundTo(b),
+  a: roundTo(a),
+  responses,
+  method,
+});
+
+// Classical test theory from a single learner's questionPerformance: the
+// p-value converted to the logit scale (equivalent to 1PL with ability 0).
+export const calibrateFromPerformance = (questionPerformance, minResponses = MIN_RESPONSES) => Object.fromEntries(
+  Object.entries(questionPerformance)
+    .filter(([, stats]) => stats.totalCount >= minResponses)
+    .map(([id, stats]) => {
+      const p = smoothedP(stats.correctCount, stats.totalCount);
+      return [id, toResult(Math.log((1 - p) / p), null, stats.totalCount, 'p-value')];
+    })
+);
+
+// Joint maximum likelihood fit of a 1PL (Rasch) or 2PL model. `responses`
+// is [{ respondent, questionId, correct }]. Abilities are centred on 0 after
+// every pass to fix the scale.
+export const fitIrt = (responses, model = '2PL', minResponses = MIN_RESPONSES) => {
+  const byItem = {};
+  const byPerson = {};
+  responses.forEach(r => {
+    (byItem[r.questionId] = byItem[r.questionId] || []).push(r);
+    (byPerson[r.respondent] = byPerson[r.respondent] || []).push(r);
+  });
+  const items = Object.keys(byItem).filter(id => byItem[id].length >= minResponses);
+  const itemSet = new Set(items);
+  const people = Object.keys(byPerson);
+  if (items.length === 0 || people.length < 2) return {};
+
+  const theta = {};
+  people.forEach(p => {
+    const own = byPerson[p].filter(r => itemSet.has(r.questionId));
+    const prop = smoothedP(own.filter(r => r.correct).length, own.length);
+    theta[p] = clamp(Math.log(prop / (1 - prop)), -THETA_LIMIT, THETA_LIMIT);
+  });
+  const b = {};
+  const a = {};
+  items.forEach(id => {
+    const prop = smoothedP(byItem[id].filter(r => r.correct).length, byItem[id].length);
+    b[id] = Math.log((1 - prop) / prop);
+    a[id] = 1;
+  });
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let maxChange = 0;
+
+    // One Newton-Raphson step per item parameter.
+    items.forEach(id => {
+      let gradB = 0;
+      let infoB = 0;
+      let gradA = 0;
+      let infoA = 0;
+      byItem[id].forEach(r => {
+        const p = logistic(a[id] * (theta[r.respondent] - b[id]));
+        const residual = (r.correct ? 1 : 0) - p;
+        const diff = theta[r.respondent] - b[id];
+        gradB += -a[id] * residual;
+        infoB += a[id] * a[id] * p * (1 - p);
+        gradA += diff * residual;
+        infoA += diff * diff * p * (1 - p);
+      });
+      const stepB = infoB > 0 ? clamp(gradB / infoB, -1, 1) : 0;
+      b[id] = clamp(b[id] + stepB, -THETA_LIMIT, THETA_LIMIT);
+      maxChange = Math.max(maxChange, Math.abs(stepB));
+      if (model === '2PL' && infoA > 0) {
+        const stepA = clamp(gradA / infoA, -0.5, 0.5);
+        a[id] = clamp(a[id] + stepA, 0.2, 3);
+        maxChange = Math.max(maxChange, Math.abs(stepA));
+      }
+    });
+
+    // One Newton-Raphson step per ability.
+    people.forEach(person => {
+      let grad = 0;
+      let info = 0;
+      byPerson[person].forEach(r => {
+        if (!itemSet.has(r.questionId)) return;
+        const p = logistic(a[r.questionId] * (theta[person] - b[r.questionId]));
+        grad += a[r.questionId] * ((r.correct ? 1 : 0) - p);
+        info += a[r.questionId] ** 2 * p * (1 - p);
+      });
+      const step = info > 0 ? clamp(grad / info, -1, 1) : 0;
+      theta[person] = clamp(theta[person] + step, -THETA_LIMIT, THETA_LIMIT);
+      maxChange = Math.max(maxChange, Math.abs(step));
+    });
+
+    const mean = people.reduce((sum, p) => sum + theta[p], 0) / people.length;
+    people.forEach(p => { theta[p] -= mean; });
+    items.forEach(id => { b[id] -= mean; });
+
+    if (maxChange < CONVERGENCE) break;
+  }
+
+  return Object.fromEntries(items.map(id => [
+    id,
+    toResult(b[id], model === '2PL' ? a[id] : null, byItem[id].length, model),
+  ]));
+};
+
+// Merges calibration sets, preferring the estimate backed by more responses.
+export const mergeCalibrations = (...sets) => sets.reduce((merged, set) => {
+  Object.entries(set).forEach(([id, result]) => {
+    if (!merged[id] || merged[id].responses <= result.responses) merged[id] = result;
+  });
+  return merged;
+}, {});
+
+// Writes calibrated values onto bank rows as Difficulty/Discrimination columns.
+export const applyCalibrationToRows = (rows, ids, calibration) => rows.map((row, i) => {
+  const result = calibration[ids[i]];
+  if (!result) return row;
+  return {
+    ...row,
+    Difficulty: result.difficulty,
+    ...(result.a !== null && { Discrimination: result.a }),
+  };
+});
+
+const parseCorrect = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  return normalized === '1' || normalized === 'true' || normalized === 'yes' || normalized === 'correct';
+};
+
+// Parses a response log (CSV or JSON) with respondent, questionId and
+// correct columns. Rows missing a respondent or question ID are skipped.
+export const parseResponseLog = async (file) => {
+  const text = await file.text();
+  const rows = /\.json$/i.test(file.name)
+    ? JSON.parse(text)
+    : Papa.parse(text, { header: true, skipEmptyLines: 'greedy' }).data;
+  return rows
+    .map(row => ({
+      respondent: String(row.respondent ?? row.Respondent ?? row.RespondentId ?? '').trim(),
+      questionId: String(row.questionId ?? row.QuestionId ?? row.id ?? '').trim(),
+      correct: parseCorrect(row.correct ?? row.Correct),
+    }))
+    .filter(r => r.respondent && r.questionId);
+};
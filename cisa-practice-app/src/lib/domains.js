@@ -0,0 +1,17 @@
+// --- CISA Domain Weights ---
+// Share of the 150-question exam allotted to each job practice domain.
+export const CISA_DOMAIN_WEIGHTS = {
+  "Information System Auditing Process": 0.18,
+  "Governance And Management Of It": 0.18,
+  "Information Systems Acquisition, Development And Implementation": 0.12,
+  "Information Systems Operations And Business Resilience": 0.26,
+  "Protection Of Information Assets": 0.26,
+};
+
+// Title-cases a raw bank Domain value ("PROTECTION OF INFORMATION ASSETS")
+// into the form used throughout the app ("Protection Of Information Assets").
+export const normalizeDomain = (rawDomain) => (rawDomain || 'General')
+  .toLowerCase()
+  .split(' ')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
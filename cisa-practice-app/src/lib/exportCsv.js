@@ -0,0 +1,75 @@
+import Papa from 'papaparse';
+
+// --- CSV export helpers ---
+
+const percent = (correct, total) => (total > 0 ? Math.round((correct / total) * 100) : '');
+
+// One row per session, with a percentage column for every domain that
+// appears in any session's domainBreakdown.
+export const buildSessionHistoryCsv = (sessionHistory) => {
+  const domains = [...new Set(sessionHistory.flatMap(s => Object.keys(s.domainBreakdown || {})))].sort();
+  const fields = ['Date', 'Mode', 'Status', 'Score (%)', 'Correct', 'Total Questions', 'Time (min)', ...domains.map(d => `${d} (%)`)];
+  const data = sessionHistory.map(s => [
+    new Date(s.date).toISOString(),
+    s.mode,
+    s.status || 'complete',
+    s.percentage,
+    s.correctAnswers,
+    s.totalQuestions,
+    s.timeSpent,
+    ...domains.map(d => {
+      const stats = s.domainBreakdown?.[d];
+      return stats ? percent(stats.correct, stats.total) : '';
+    }),
+  ]);
+  return Papa.unparse({ fields, data });
+};
+
+// One row per question that has either been timed in a session or has
+// recorded answers in questionPerformance.
+export const buildQuestionCsv = (sessionHistory, questionPerformance, questions) => {
+  const timing = {};
+  sessionHistory.forEach(s => {
+    Object.entries(s.questionTimes || {}).forEach(([id, seconds]) => {
+      timing[id] = timing[id] || { seconds: 0, sessions: 0 };
+      timing[id].seconds += seconds;
+      timing[id].sessions += 1;
+    });
+  });
+  const questionsById = new Map(questions.map(q => [String(q.id), q]));
+  const ids = [...new Set([...Object.keys(timing), ...Object.keys(questionPerformance)])];
+
+  const fields = ['Question ID', 'Domain', 'Question', 'Times Answered', 'Times Correct', 'Accuracy (%)', 'Last Answer Correct', 'Sessions Timed', 'Total Time (s)', 'Average Time (s)'];
+  const data = ids.map(id => {
+    const q = questionsById.get(id);
+    const perf = questionPerformance[id] || { correctCount: 0, totalCount: 0 };
+    const time = timing[id] || { seconds: 0, sessions: 0 };
+    return [
+      id,
+      q ? q.domain : '',
+      q ? q.question : '',
+      perf.totalCount,
+      perf.correctCount,
+      percent(perf.correctCount, perf.totalCount),
+      perf.totalCount > 0 ? (perf.lastCorrect ? 'Yes' : 'No') : '',
+      time.sessions,
+      time.seconds,
+      time.sessions > 0 ? Math.round(time.seconds / time.sessions) : '',
+    ];
+  });
+  return Papa.unparse({ fields, data });
+};
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCsv = (filename, csv) => downloadFile(filename, csv, 'text/csv;charset=utf-8;');
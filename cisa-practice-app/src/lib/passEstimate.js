@@ -0,0 +1,114 @@
+import { CISA_DOMAIN_WEIGHTS } from './domains.js';
+
+// --- Pass-likelihood estimate ---
+// Projects an exam score from session history:
+//  1. Per-domain accuracy, with each session's answers down-weighted by age
+//     (exponential decay, RECENCY_HALF_LIFE_DAYS).
+//  2. A Beta(1, 1) prior per domain, so domains with few answers stay close to
+//     50% and carry wide uncertainty.
+//  3. A Rasch-style difficulty adjustment: accuracy is moved onto the logit
+//     scale and shifted by the mean logit difficulty of the questions actually
+//     answered, giving the expected accuracy on an average-difficulty exam.
+//  4. Domains combined with CISA_DOMAIN_WEIGHTS, then mapped to the 200-800
+//     scaled score.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENCY_HALF_LIFE_DAYS = 14;
+const Z_95 = 1.96;
+
+export const SCALED_MIN = 200;
+export const SCALED_MAX = 800;
+export const SCALED_PASS = 450;
+// ISACA doesn't publish its raw-to-scaled conversion; 65% raw is the commonly
+// cited equivalent of the 450 cut score. The mapping is piecewise linear
+// through (0%, 200), (65%, 450) and (100%, 800).
+export const RAW_PASS_ACCURACY = 0.65;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const logit = (p) => Math.log(p / (1 - p));
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+// Abramowitz-Stegun approximation of the standard normal CDF.
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989423 * Math.exp(-z * z / 2);
+  const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return z > 0 ? 1 - tail : tail;
+};
+
+export const toScaledScore = (accuracy) => {
+  const p = clamp(accuracy, 0, 1);
+  const scaled = p <= RAW_PASS_ACCURACY
+    ? SCALED_MIN + (p / RAW_PASS_ACCURACY) * (SCALED_PASS - SCALED_MIN)
+    : SCALED_PASS + ((p - RAW_PASS_ACCURACY) / (1 - RAW_PASS_ACCURACY)) * (SCALED_MAX - SCALED_PASS);
+  return Math.round(scaled);
+};
+
+// Difficulty levels 1-5 sit roughly one logit apart around the average item.
+const difficultyToLogit = (difficulty) => (difficulty || 3) - 3;
+
+const collectDomainEvidence = (sessionHistory, questions, now) => {
+  const byId = new Map(questions.map(q => [String(q.id), q]));
+  const evidence = {};
+  const entry = (domain) => {
+    evidence[domain] = evidence[domain] || { correct: 0, total: 0, difficultySum: 0, difficultyWeight: 0, raw: 0 };
+    return evidence[domain];
+  };
+
+  sessionHistory.forEach(session => {
+    const ageDays = Math.max(0, (now - new Date(session.date).getTime()) / DAY_MS);
+    const weight = 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+    Object.entries(session.domainBreakdown || {}).forEach(([domain, stats]) => {
+      const e = entry(domain);
+      e.correct += stats.correct * weight;
+      e.total += stats.total * weight;
+      e.raw += stats.total;
+    });
+    (session.questionIds || []).forEach(id => {
+      const q = byId.get(String(id));
+      if (!q) return;
+      const e = entry(q.domain);
+      e.difficultySum += difficultyToLogit(q.difficulty) * weight;
+      e.difficultyWeight += weight;
+    });
+  });
+  return evidence;
+};
+
+// Returns null when there is no history yet.
+export const estimatePassLikelihood = (sessionHistory, questions = [], now = Date.now()) => {
+  if (sessionHistory.length === 0) return null;
+  const evidence = collectDomainEvidence(sessionHistory, questions, now);
+
+  const domains = Object.entries(CISA_DOMAIN_WEIGHTS).map(([domain, weight]) => {
+    const e = evidence[domain] || { correct: 0, total: 0, difficultySum: 0, difficultyWeight: 0, raw: 0 };
+    const alpha = e.correct + 1;
+    const beta = e.total - e.correct + 1;
+    const observed = alpha / (alpha + beta);
+    const meanDifficulty = e.difficultyWeight > 0 ? e.difficultySum / e.difficultyWeight : 0;
+    const accuracy = logistic(logit(observed) + meanDifficulty);
+    // Delta-method rescaling keeps the Beta variance consistent with the shift.
+    const variance = (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
+    const scale = (accuracy * (1 - accuracy)) / (observed * (1 - observed));
+    return { domain, weight, accuracy, standardError: Math.sqrt(variance) * scale, answered: e.raw };
+  });
+
+  const accuracy = domains.reduce((sum, d) => sum + d.weight * d.accuracy, 0);
+  const standardError = Math.sqrt(domains.reduce((sum, d) => sum + (d.weight * d.standardError) ** 2, 0));
+  const low = clamp(accuracy - Z_95 * standardError, 0, 1);
+  const high = clamp(accuracy + Z_95 * standardError, 0, 1);
+  const passProbability = standardError > 0
+    ? normalCdf((accuracy - RAW_PASS_ACCURACY) / standardError)
+    : Number(accuracy >= RAW_PASS_ACCURACY);
+
+  return {
+    accuracy,
+    standardError,
+    scaledScore: toScaledScore(accuracy),
+    scaledLow: toScaledScore(low),
+    scaledHigh: toScaledScore(high),
+    passProbability,
+    answered: domains.reduce((sum, d) => sum + d.answered, 0),
+    domains,
+  };
+};
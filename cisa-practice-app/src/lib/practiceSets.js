@@ -0,0 +1,118 @@
+import { SLOW_ANSWER_SECONDS } from './spacedRepetition.js';
+import { shuffle } from './shuffle.js';
+
+// --- Custom practice sets ---
+// A set config: { domains: { [domain]: count }, difficultyMin, difficultyMax,
+// statuses: [...STATUS_FILTERS keys], excludeCorrectWithinDays }.
+// Presets saved from the builder are { id, name, config, createdAt }.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STATUS_FILTERS = {
+  'never-seen': 'Never seen',
+  'seen-wrong': 'Seen but wrong',
+  bookmarked: 'Bookmarked',
+  slow: 'Slow (over pace)',
+};
+
+export const EMPTY_SET_CONFIG = {
+  domains: {},
+  difficultyMin: 1,
+  difficultyMax: 5,
+  statuses: [],
+  excludeCorrectWithinDays: 0,
+};
+
+// Questions whose average recorded time across sessions is over the slow threshold.
+export const getSlowQuestionIds = (sessionHistory) => {
+  const totals = {};
+  sessionHistory.forEach(session => {
+    Object.entries(session.questionTimes || {}).forEach(([id, seconds]) => {
+      totals[id] = totals[id] || { seconds: 0, count: 0 };
+      totals[id].seconds += seconds;
+      totals[id].count += 1;
+    });
+  });
+  return new Set(Object.entries(totals).filter(([, t]) => t.seconds / t.count > SLOW_ANSWER_SECONDS).map(([id]) => id));
+};
+
+const matchesStatus = (status, q, context) => {
+  const stats = context.questionPerformance[q.id];
+  switch (status) {
+    case 'never-seen': return !stats || stats.totalCount === 0;
+    case 'seen-wrong': return Boolean(stats) && stats.correctCount < stats.totalCount;
+    case 'bookmarked': return context.bookmarked.has(q.id);
+    case 'slow': return context.slowIds.has(String(q.id));
+    default: return true;
+  }
+};
+
+const answeredCorrectlyWithin = (stats, days, now) => (
+  Boolean(stats && stats.lastCorrect && stats.lastReviewed) && now - new Date(stats.lastReviewed).getTime() < days * DAY_MS
+);
+
+// Selected statuses are alternatives: a question qualifies if it matches any.
+// `context` is { questionPerformance, bookmarked, slowIds, now }.
+export const matchesSetConfig = (q, config, context) => (
+  q.difficulty >= config.difficultyMin
+  && q.difficulty <= config.difficultyMax
+  && (config.statuses.length === 0 || config.statuses.some(status => matchesStatus(status, q, context)))
+  && !(config.excludeCorrectWithinDays > 0 && answeredCorrectlyWithin(context.questionPerformance[q.id], config.excludeCorrectWithinDays, context.now))
+);
+
+// Eligible question counts per domain, for showing limits in the builder.
+export const countEligible = (questions, config, context) => questions.reduce((counts, q) => {
+  if (matchesSetConfig(q, config, context)) counts[q.domain] = (counts[q.domain] || 0) + 1;
+  return counts;
+}, {});
+
+// Draws up to the configured count from each domain's eligible questions.
+export const buildPracticeSet = (questions, config, context, rng = Math.random) => Object.entries(config.domains)
+  .filter(([, count]) => count > 0)
+  .flatMap(([domain, count]) => shuffle(
+    questions.filter(q => q.domain === domain && matchesSetConfig(q, config, context)),
+    rng
+  ).slice(0, count));
+
+export const createPreset = (name, config) => ({
+  id: `preset-${Date.now()}`,
+  name: name.trim() || 'Custom practice set',
+  config,
+  createdAt: new Date().toISOString(),
+});
+
+// One-line description of a preset, for dashboard cards.
+export const describeSetConfig = (config) => {
+  const total = Object.values(config.domains).reduce((sum, count) => sum + count, 0);
+  const domainCount = Object.values(config.domains).filter(count => count > 0).length;
+  const parts = [`${total} questions from ${domainCount} domain${domainCount === 1 ? '' : 's'}`];
+  if (config.difficultyMin > 1 || config.difficultyMax < 5) parts.push(`difficulty ${config.difficultyMin}-${config.difficultyMax}`);
+  if (config.statuses.length > 0) parts.push(config.statuses.map(s => STATUS_FILTERS[s].toLowerCase()).join(' or '));
+  if (config.excludeCorrectWithinDays > 0) parts.push(`skip correct in last ${config.excludeCorrectWithinDays}d`);
+  return parts.join(' · ');
+};
+
+const clampDifficulty = (value, fallback) => {
+  const level = parseInt(value, 10);
+  return level >= 1 && level <= 5 ? level : fallback;
+};
+
+// Reads a config from a shared link. Anything unrecognised is dropped, and
+// null comes back if it isn't a set config at all.
+export const parseSetConfig = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw.domains !== 'object' || raw.domains === null) return null;
+  const difficultyMin = clampDifficulty(raw.difficultyMin, EMPTY_SET_CONFIG.difficultyMin);
+  return {
+    domains: Object.fromEntries(Object.entries(raw.domains).filter(([, count]) => Number.isInteger(count) && count > 0)),
+    difficultyMin,
+    difficultyMax: Math.max(difficultyMin, clampDifficulty(raw.difficultyMax, EMPTY_SET_CONFIG.difficultyMax)),
+    statuses: Array.isArray(raw.statuses) ? raw.statuses.filter(status => status in STATUS_FILTERS) : [],
+    excludeCorrectWithinDays: Math.max(0, parseInt(raw.excludeCorrectWithinDays, 10) || 0),
+  };
+};
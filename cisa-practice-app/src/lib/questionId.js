@@ -0,0 +1,39 @@
+// --- Content-based question IDs ---
+// IDs are derived from the question stem and options so that inserting,
+// deleting or reordering questions in a bank never re-points bookmarks,
+// incorrect answers or performance records at a different question.
+
+const normalizeText = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// cyrb53: fast, well-distributed 53-bit string hash.
+const cyrb53 = (str, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+};
+
+export const hashQuestion = (rawQ) => {
+  const content = [rawQ.Question, rawQ.OptionA, rawQ.OptionB, rawQ.OptionC, rawQ.OptionD]
+    .map(normalizeText)
+    .join('␟');
+  return `q-${cyrb53(content).toString(36)}`;
+};
+
+// IDs for every row of a bank. An explicit `id` column wins; exact content
+// duplicates get a positional suffix so IDs stay unique within the bank.
+export const assignQuestionIds = (rows) => {
+  const seen = {};
+  return rows.map(rawQ => {
+    if (rawQ.id) return String(rawQ.id);
+    const base = hashQuestion(rawQ);
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : `${base}-${seen[base]}`;
+  });
+};
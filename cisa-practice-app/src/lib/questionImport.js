@@ -0,0 +1,93 @@
+import Papa from 'papaparse';
+
+// --- Question bank import ---
+// Imported files use the same columns as the bundled qae.json so every bank
+// goes through the same transformQuestions path.
+
+export const QUESTION_COLUMNS = ['Question', 'OptionA', 'OptionB', 'OptionC', 'OptionD', 'CorrectAnswer', 'Domain', 'Explanation', 'Difficulty', 'Subdomain', 'Topic'];
+const OPTION_COLUMNS = ['OptionA', 'OptionB', 'OptionC', 'OptionD'];
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+
+// Keeps only known columns and trims string values.
+const normalizeRow = (row) => QUESTION_COLUMNS.reduce((acc, column) => {
+  const value = row[column];
+  if (value === undefined || value === null || value === '') return acc;
+  acc[column] = typeof value === 'string' ? value.trim() : value;
+  return acc;
+}, {});
+
+// Returns { errors, warnings } for a single normalized row. Rows with errors
+// are excluded from the saved bank; warnings are shown but don't block.
+export const validateQuestionRow = (row) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!row.Question) errors.push('Question text is missing');
+
+  const filled = OPTION_COLUMNS.map(column => Boolean(row[column]));
+  if (filled.filter(Boolean).length < 2) errors.push('At least two options (OptionA, OptionB) are required');
+  const firstGap = filled.indexOf(false);
+  if (firstGap !== -1 && filled.slice(firstGap).some(Boolean)) {
+    errors.push(`${OPTION_COLUMNS[firstGap]} is empty but a later option is set; answer letters would shift`);
+  }
+
+  const answer = String(row.CorrectAnswer || '').trim().toUpperCase();
+  if (!answer) {
+    errors.push('CorrectAnswer is missing');
+  } else if (!ANSWER_LETTERS.includes(answer)) {
+    errors.push(`CorrectAnswer "${row.CorrectAnswer}" is not one of A-D`);
+  } else if (!row[`Option${answer}`]) {
+    errors.push(`CorrectAnswer ${answer} points at an empty option`);
+  }
+
+  if (!row.Domain) warnings.push('Domain is missing; it will be filed under General');
+  if (!row.Explanation) warnings.push('Explanation is missing');
+
+  return { errors, warnings };
+};
+
+const readFileText = (file) => (typeof file.text === 'function'
+  ? file.text()
+  : new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  }));
+
+const parseCsv = (text) => new Promise((resolve, reject) => {
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    complete: (results) => resolve(results.data),
+    error: reject,
+  });
+});
+
+const parseJson = (text) => {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed.questions;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of questions or an object with a "questions" array');
+  }
+  return rows;
+};
+
+// Parses a CSV or JSON file into preview entries:
+// [{ line, row, errors, warnings }], where `line` is the 1-based data row.
+export const parseQuestionFile = async (file) => {
+  const text = await readFileText(file);
+  const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+  const rawRows = isJson ? parseJson(text) : await parseCsv(text);
+  return rawRows.map((raw, index) => {
+    const row = normalizeRow(raw || {});
+    return { line: index + 1, row, ...validateQuestionRow(row) };
+  });
+};
+
+export const createQuestionBank = (name, entries) => ({
+  id: `bank-${Date.now()}`,
+  name: name.trim(),
+  createdAt: new Date().toISOString(),
+  rows: entries.filter(entry => entry.errors.length === 0).map(entry => entry.row),
+});
@@ -0,0 +1,141 @@
+// --- Printable performance report ---
+// Builds a self-contained HTML document (inline styles and SVG charts, no
+// network requests) and sends it to the browser's print dialog, where it can
+// be printed or saved as PDF.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const letter = (index) => (index === undefined || index === null ? '—' : String.fromCharCode(65 + index));
+
+const renderProgressChart = (progressData) => {
+  if (progressData.length === 0) return '<p class="muted">No sessions recorded yet.</p>';
+  const width = 640;
+  const height = 200;
+  const pad = 30;
+  const step = progressData.length > 1 ? (width - pad * 2) / (progressData.length - 1) : 0;
+  const points = progressData.map((d, i) => {
+    const x = pad + i * step;
+    const y = height - pad - (d.score / 100) * (height - pad * 2);
+    return { x, y, d };
+  });
+  const gridLines = [0, 25, 50, 75, 100].map(v => {
+    const y = height - pad - (v / 100) * (height - pad * 2);
+    return `<line x1="${pad}" x2="${width - pad}" y1="${y}" y2="${y}" stroke="#e2e8f0" stroke-dasharray="3 3"/>` +
+      `<text x="${pad - 6}" y="${y + 4}" font-size="10" text-anchor="end" fill="#64748b">${v}</text>`;
+  }).join('');
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ');
+  const dots = points.map(p => `<circle cx="${p.x}" cy="${p.y}" r="3" fill="#3B82F6"/>`).join('');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${gridLines}<path d="${path}" fill="none" stroke="#3B82F6" stroke-width="2"/>${dots}</svg>`;
+};
+
+const renderDomainChart = (domainData) => {
+  if (domainData.length === 0) return '<p class="muted">No domain data yet.</p>';
+  const labelWidth = 260;
+  const barWidth = 340;
+  const rowHeight = 26;
+  const height = domainData.length * rowHeight + 10;
+  const rows = domainData.map((d, i) => {
+    const y = i * rowHeight + 5;
+    return `<text x="${labelWidth - 8}" y="${y + 14}" font-size="11" text-anchor="end" fill="#334155">${escapeHtml(d.domain)}</text>` +
+      `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="18" fill="#f1f5f9"/>` +
+      `<rect x="${labelWidth}" y="${y}" width="${(d.percentage / 100) * barWidth}" height="18" fill="#8B5CF6"/>` +
+      `<text x="${labelWidth + barWidth + 6}" y="${y + 14}" font-size="11" fill="#334155">${d.percentage}%</text>`;
+  }).join('');
+  return `<svg width="${labelWidth + barWidth + 50}" height="${height}">${rows}</svg>`;
+};
+
+const renderDomainBreakdown = (domainBreakdown = {}) => {
+  const rows = Object.entries(domainBreakdown).map(([domain, data]) => {
+    const score = data.total > 0 ? Math.round((data.correct / data.total) * 100) : 0;
+    return `<tr><td>${escapeHtml(domain)}</td><td>${data.correct}/${data.total}</td><td>${score}%</td></tr>`;
+  }).join('');
+  return `<table><thead><tr><th>Domain</th><th>Correct</th><th>Score</th></tr></thead><tbody>${rows}</tbody></table>`;
+};
+
+const renderMissedQuestions = (missedQuestions) => {
+  if (missedQuestions.length === 0) return '<p class="muted">No missed questions in this session.</p>';
+  return missedQuestions.map(({ question, chosen }, i) => `
+    <div class="question">
+      <p><strong>${i + 1}. ${escapeHtml(question.question)}</strong></p>
+      <ol type="A">${question.options.map(o => `<li>${escapeHtml(o)}</li>`).join('')}</ol>
+      <p>Your answer: <strong>${letter(chosen)}</strong> &middot; Correct answer: <strong>${letter(question.correctAnswer)}</strong> &middot; ${escapeHtml(question.domain)}</p>
+      <p class="explanation">${escapeHtml(question.explanation)}</p>
+    </div>`).join('');
+};
+
+// Questions from `session` that were answered incorrectly or left blank.
+export const getMissedQuestions = (session, allQuestions) => {
+  if (!session || !session.questionIds) return [];
+  const answers = session.answers || {};
+  const byId = new Map(allQuestions.map(q => [String(q.id), q]));
+  return session.questionIds
+    .map(id => byId.get(String(id)))
+    .filter(q => q && answers[q.id] !== q.correctAnswer)
+    .map(q => ({ question: q, chosen: answers[q.id] }));
+};
+
+export const buildReportHtml = ({ stats, progressData, domainData, session, missedQuestions }) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>CISA Performance Report</title>
+<style>
+  body { font-family: system-ui, Helvetica, Arial, sans-serif; color: #1e293b; margin: 32px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 28px 0 10px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  .muted { color: #64748b; }
+  .stats { display: flex; gap: 16px; }
+  .stat { flex: 1; border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; text-align: center; }
+  .stat strong { display: block; font-size: 22px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+  .question { page-break-inside: avoid; margin-bottom: 16px; font-size: 13px; }
+  .explanation { background: #f8fafc; border-left: 3px solid #94a3b8; padding: 6px 10px; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+  <h1>CISA Performance Report</h1>
+  <p class="muted">Generated ${escapeHtml(new Date().toLocaleString())}</p>
+
+  <h2>Overall</h2>
+  <div class="stats">
+    <div class="stat"><strong>${stats.averageScore}%</strong>Average Score</div>
+    <div class="stat"><strong>${stats.completedSessions}</strong>Sessions Completed</div>
+    <div class="stat"><strong>${stats.totalQuestions}</strong>Questions Answered</div>
+  </div>
+
+  <h2>Score Progress Over Time</h2>
+  ${renderProgressChart(progressData)}
+
+  <h2>Domain Performance</h2>
+  ${renderDomainChart(domainData)}
+
+  ${session ? `
+  <h2>Session of ${escapeHtml(new Date(session.date).toLocaleString())} &middot; ${escapeHtml(session.mode)} &middot; ${session.percentage}%</h2>
+  ${renderDomainBreakdown(session.domainBreakdown)}
+
+  <h2>Missed Questions (${missedQuestions.length})</h2>
+  ${renderMissedQuestions(missedQuestions)}` : ''}
+</body>
+</html>`;
+
+// Prints through a hidden iframe so popup blockers don't interfere.
+export const printReport = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.onafterprint = () => document.body.removeChild(frame);
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
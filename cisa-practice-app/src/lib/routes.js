@@ -0,0 +1,72 @@
+// --- URL routes ---
+// Every screen (the app's `currentMode`) has a path, so the back button,
+// refresh and bookmarks work. parseRoute turns a location into
+// { mode, params } and buildPath is its inverse. Links that start something,
+// such as a shared question or practice set, have route modes of their own;
+// the app acts on them and the URL then moves on to '/session'.
+
+const SCREEN_PATHS = {
+  analytics: '/',
+  setup: '/practice',
+  'exam-setup': '/exam',
+  session: '/session',
+  search: '/search',
+  import: '/banks',
+  'bank-health': '/banks/health',
+  calibration: '/banks/calibration',
+  tagging: '/banks/tagging',
+};
+
+// Route modes whose links start a practice session.
+export const START_LINK_MODES = ['question', 'preset', 'shared-set'];
+
+const DASHBOARD_ROUTE = { mode: 'analytics', params: {} };
+
+// IDs from imported banks can be any string, so they are escaped in paths.
+const segment = (value) => encodeURIComponent(String(value));
+
+export const buildPath = (mode, params = {}) => {
+  switch (mode) {
+    case 'results': return `/results/${segment(params.sessionId)}`;
+    case 'session-review': return `/results/${segment(params.sessionId)}/review`;
+    case 'history': return params.sessionId ? `/history/${segment(params.sessionId)}` : '/history';
+    case 'builder': return params.presetId ? `/builder/${segment(params.presetId)}` : '/builder';
+    case 'question': return `/question/${segment(params.questionId)}`;
+    case 'preset': return `/practice/preset/${segment(params.presetId)}`;
+    // The whole config travels in the link, so it opens on any device
+    case 'shared-set': return `/practice/set?${new URLSearchParams({ config: JSON.stringify(params.config) })}`;
+    default: return SCREEN_PATHS[mode] || '/';
+  }
+};
+
+// Unknown or malformed paths fall back to the dashboard. Session IDs come back
+// as strings, to be compared with String(session.id).
+export const parseRoute = (pathname, search = '') => {
+  let parts;
+  try {
+    parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return DASHBOARD_ROUTE;
+  }
+  const path = `/${parts.join('/')}`;
+  const screen = Object.keys(SCREEN_PATHS).find(mode => SCREEN_PATHS[mode] === path);
+  if (screen) return { mode: screen, params: {} };
+
+  const [head, id, tail] = parts;
+  if (head === 'results' && parts.length === 2) return { mode: 'results', params: { sessionId: id } };
+  if (head === 'results' && parts.length === 3 && tail === 'review') return { mode: 'session-review', params: { sessionId: id } };
+  if (head === 'history' && parts.length <= 2) return { mode: 'history', params: { sessionId: id } };
+  if (head === 'builder' && parts.length <= 2) return { mode: 'builder', params: { presetId: id } };
+  if (head === 'question' && parts.length === 2) return { mode: 'question', params: { questionId: id } };
+  if (head === 'practice' && id === 'preset' && parts.length === 3) return { mode: 'preset', params: { presetId: tail } };
+  if (head === 'practice' && id === 'set' && parts.length === 2) {
+    const config = new URLSearchParams(search).get('config');
+    if (config) return { mode: 'shared-set', params: { config } };
+  }
+  return DASHBOARD_ROUTE;
+};
+
+export const parseLocation = (location) => parseRoute(location.pathname, location.search);
+
+// Absolute URL for sharing a route.
+export const buildUrl = (mode, params) => `${window.location.origin}${buildPath(mode, params)}`;
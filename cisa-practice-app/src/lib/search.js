@@ -0,0 +1,96 @@
+// --- Full-text question search ---
+// An inverted index over question, options and explanation, ranked with
+// BM25. Stem hits weigh more than option hits, which weigh more than
+// explanation hits. The last query term also matches as a prefix so results
+// update sensibly while typing.
+
+const FIELD_WEIGHTS = { question: 3, options: 2, explanation: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'its', 'of', 'on',
+  'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with', 'what', 'when', 'who', 'will', 'would',
+]);
+
+// Crude plural folding, so "controls" finds "control" and vice versa.
+const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+export const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+const fieldsOf = (q) => ({
+  question: q.question,
+  options: (q.options || []).join(' '),
+  explanation: q.explanation,
+});
+
+// postings: term → Map(docIndex → weighted term frequency)
+export const buildSearchIndex = (questions) => {
+  const postings = new Map();
+  const lengths = questions.map((q, doc) => {
+    let length = 0;
+    Object.entries(fieldsOf(q)).forEach(([field, text]) => {
+      tokenize(text).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(doc, (docs.get(doc) || 0) + FIELD_WEIGHTS[field]);
+        length += 1;
+      });
+    });
+    return length;
+  });
+  const averageLength = lengths.reduce((sum, l) => sum + l, 0) / Math.max(1, lengths.length);
+  return { questions, postings, lengths, averageLength, terms: [...postings.keys()] };
+};
+
+// Index terms a query term matches: exact, or by prefix for the last term.
+const expandTerm = (index, term, isPrefix) => (
+  isPrefix ? index.terms.filter(t => t.startsWith(term)) : (index.postings.has(term) ? [term] : [])
+);
+
+// Returns [{ question, score, terms }] best first, where `terms` are the
+// index terms that matched (used for highlighting). Documents matching more
+// of the query's terms always rank above those matching fewer.
+export const searchQuestions = (index, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+  const endsMidWord = /[a-z0-9]$/i.test(query);
+  const docCount = index.questions.length;
+  const scores = new Map();
+
+  queryTerms.forEach((term, i) => {
+    const expanded = expandTerm(index, term, endsMidWord && i === queryTerms.length - 1);
+    const matchedDocs = new Set();
+    expanded.forEach(t => {
+      const docs = index.postings.get(t);
+      const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+      docs.forEach((tf, doc) => {
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (index.lengths[doc] / index.averageLength));
+        const entry = scores.get(doc) || { score: 0, covered: new Set(), terms: new Set() };
+        entry.score += idf * ((tf * (BM25_K1 + 1)) / norm);
+        entry.terms.add(t);
+        matchedDocs.add(doc);
+        scores.set(doc, entry);
+      });
+    });
+    matchedDocs.forEach(doc => scores.get(doc).covered.add(term));
+  });
+
+  return [...scores.entries()]
+    .map(([doc, entry]) => ({ question: index.questions[doc], score: entry.score, coverage: entry.covered.size, terms: [...entry.terms] }))
+    .sort((a, b) => b.coverage - a.coverage || b.score - a.score);
+};
+
+// Splits text into [{ text, match }] segments, marking words whose folded
+// form is one of `terms`, for rendering highlights.
+export const highlightSegments = (text, terms) => {
+  const termSet = new Set(terms);
+  return String(text || '')
+    .split(/([a-z0-9]+)/i)
+    .filter(part => part !== '')
+    .map(part => ({ text: part, match: termSet.has(stem(part.toLowerCase())) }));
+};
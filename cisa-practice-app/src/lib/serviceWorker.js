@@ -0,0 +1,50 @@
+// --- Service worker registration ---
+// The worker is emitted only by production builds (see src/sw.js), so dev
+// servers run without one.
+
+// Open tabs never navigate during a long study session, so they check for a
+// new build on a timer as well as on load.
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// Calls onOfflineReady once the first install has cached the app, and
+// onUpdateReady(registration) when a new build is installed and waiting.
+// Returns a cleanup function.
+export const registerServiceWorker = ({ onOfflineReady, onUpdateReady }) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+  let cancelled = false;
+  let interval;
+
+  const watch = (registration, worker) => {
+    worker.addEventListener('statechange', () => {
+      if (cancelled || worker.state !== 'installed') return;
+      // With no controller this is the first install, not an update
+      if (navigator.serviceWorker.controller) onUpdateReady(registration);
+      else onOfflineReady();
+    });
+  };
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (cancelled) return;
+      if (registration.waiting && navigator.serviceWorker.controller) onUpdateReady(registration);
+      if (registration.installing) watch(registration, registration.installing);
+      registration.addEventListener('updatefound', () => watch(registration, registration.installing));
+      interval = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    })
+    .catch((error) => console.error('Service worker registration failed:', error));
+
+  return () => {
+    cancelled = true;
+    clearInterval(interval);
+  };
+};
+
+// Activates the waiting build and reloads once it controls the page.
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'skip-waiting' });
+};
@@ -0,0 +1,382 @@
+import { CISA_DOMAIN_WEIGHTS } from './domains.js';
+import { matchesTaxonomyFilter } from './taxonomy.js';
+import { getNextDifficulty, pickAdaptiveQuestion } from './adaptive.js';
+import { createRng, shuffle, shuffleQuestionOptions } from './shuffle.js';
+import { buildSessionRecord } from './sessionRecord.js';
+import { TIMER_MODES } from './timerPolicy.js';
+
+// --- Session engine ---
+// Headless state for one practice or exam session, advanced by sessionReducer.
+// Actions that depend on the time carry `now` (ms), so the reducer is pure:
+// the same state and action always produce the same next state.
+//
+// phase: 'idle' → 'answering' ⇄ 'reviewing' (exam pre-submit review) → 'finished'
+// A finished state holds the session record in `result` for the app to store
+// before it dispatches 'close'.
+
+// Choices on the practice and exam setup screens.
+export const DEFAULT_SESSION_SETTINGS = {
+  domain: 'all',
+  subdomain: 'all',
+  topic: 'all',
+  practiceCount: 20,
+  adaptive: false,
+  examCount: 150,
+  timerMode: 'strict', // Key of TIMER_MODES
+  timeExtension: 0, // Accommodation, e.g. 0.25 for +25%
+  optionShuffle: false,
+  seed: '', // Typed to replay a session; blank draws a fresh seed
+};
+
+export const initialSessionState = {
+  phase: 'idle',
+  mode: null, // 'exam', 'practice' or a 'practice-*' review mode
+  questions: [],
+  currentIndex: 0,
+  furthestIndex: 0, // Furthest question served; only questions past it may be swapped
+  answers: {}, // { questionId: option index as shown }
+  questionTimes: {}, // { questionId: seconds }
+  flagged: new Set(),
+  seed: null,
+  adaptive: false,
+  difficulty: 3, // Adaptive target difficulty
+  startedAt: null, // Moved forward by pauses, so now - startedAt is active time
+  clockStartedAt: null, // Start of the running per-question clock, null when stopped
+  timer: null, // Exams: { mode, extension, durationSeconds, startedAt, pausedAt, pausedSeconds, remainingSeconds }
+  result: null,
+};
+
+export const isPracticeMode = (mode) => Boolean(mode) && mode.startsWith('practice');
+
+export const getCurrentQuestion = (state) => state.questions[state.currentIndex] || null;
+
+export const getClockSeconds = (state, now) => (
+  state.clockStartedAt === null ? 0 : Math.round((now - state.clockStartedAt) / 1000)
+);
+
+// --- Question selection ---
+
+// Session copies of questions, with options reordered when the session shuffles them.
+export const prepareSessionQuestions = (questions, seed, optionShuffle) => (
+  optionShuffle ? questions.map(q => shuffleQuestionOptions(q, seed)) : questions
+);
+
+export const drawPracticeQuestions = (questions, filter, count, rng) => (
+  shuffle(questions.filter(q => matchesTaxonomyFilter(q, filter)), rng).slice(0, count)
+);
+
+// Per-domain counts follow the CISA weights and a short domain is topped up
+// from the whole bank. Fewer than `count` come back if the bank is too small.
+export const drawExamQuestions = (questions, count, rng) => {
+  const questionsByDomain = questions.reduce((acc, q) => {
+    const domainKey = q.domain.replace(/ /g, '');
+    acc[domainKey] = acc[domainKey] || [];
+    acc[domainKey].push(q);
+    return acc;
+  }, {});
+  const examQuestions = [];
+  for (const domain in CISA_DOMAIN_WEIGHTS) {
+    const domainKey = domain.replace(/ /g, '');
+    if (questionsByDomain[domainKey]) {
+      examQuestions.push(...shuffle(questionsByDomain[domainKey], rng).slice(0, Math.round(count * CISA_DOMAIN_WEIGHTS[domain])));
+    }
+  }
+  while (examQuestions.length < count && questions.length > examQuestions.length) {
+    const randomQ = questions[Math.floor(rng() * questions.length)];
+    if (!examQuestions.find(q => q.id === randomQ.id)) {
+      examQuestions.push(randomQ);
+    }
+  }
+  return shuffle(examQuestions.slice(0, count), rng);
+};
+
+// --- Question clock ---
+
+// Banks the running question clock into questionTimes and stops it.
+const stopClock = (state, now) => {
+  if (state.clockStartedAt === null) return state;
+  const id = state.questions[state.currentIndex].id;
+  const seconds = getClockSeconds(state, now);
+  return {
+    ...state,
+    clockStartedAt: null,
+    questionTimes: seconds > 0 ? { ...state.questionTimes, [id]: (state.questionTimes[id] || 0) + seconds } : state.questionTimes,
+  };
+};
+
+// Starts the clock for the question on screen. Practice answers are final, so
+// an answered practice question isn't timed again when revisited; nothing is
+// timed while paused or on the review screen.
+const startClock = (state, now) => {
+  const q = getCurrentQuestion(state);
+  const locked = !q || (isPracticeMode(state.mode) && state.answers[q.id] !== undefined);
+  const paused = Boolean(state.timer && state.timer.pausedAt !== null);
+  return { ...state, clockStartedAt: state.phase === 'answering' && !locked && !paused ? now : null };
+};
+
+const goTo = (state, index, now) => startClock({
+  ...stopClock(state, now),
+  currentIndex: index,
+  furthestIndex: Math.max(state.furthestIndex, index),
+  phase: 'answering',
+}, now);
+
+// --- Transitions ---
+
+// `timer` is { mode, extension, durationSeconds } for exams, null for practice.
+const start = ({ mode, questions, seed, adaptive = false, timer = null, now }) => startClock({
+  ...initialSessionState,
+  phase: 'answering',
+  mode,
+  questions,
+  seed,
+  adaptive,
+  flagged: new Set(),
+  startedAt: now,
+  timer: timer && { ...timer, startedAt: now, pausedAt: null, pausedSeconds: 0, remainingSeconds: timer.durationSeconds },
+}, now);
+
+// Strict exams run on the wall clock, so time away from the session counts
+// against them and a resume after the time is up submits the exam. Pausable
+// exams treat time away as paused.
+const resume = ({ checkpoint, questions, now }) => {
+  const policy = checkpoint.timerPolicy;
+  const awayMs = policy && !TIMER_MODES[policy.mode].pausable ? Math.max(0, now - Date.parse(checkpoint.savedAt)) : 0;
+  const remainingSeconds = policy && Math.max(0, checkpoint.remainingSeconds - Math.floor(awayMs / 1000));
+  const resumed = startClock({
+    ...initialSessionState,
+    phase: 'answering',
+    mode: checkpoint.mode,
+    questions,
+    currentIndex: Math.min(checkpoint.currentQuestion, questions.length - 1),
+    furthestIndex: Math.min(checkpoint.furthestQuestion, questions.length - 1),
+    answers: checkpoint.selectedAnswers,
+    questionTimes: checkpoint.questionTimes,
+    flagged: new Set(checkpoint.flagged),
+    seed: checkpoint.seed,
+    adaptive: checkpoint.adaptive && checkpoint.mode === 'practice',
+    difficulty: checkpoint.currentDifficulty,
+    startedAt: now - checkpoint.elapsedSeconds * 1000 - awayMs,
+    timer: policy && {
+      ...policy,
+      durationSeconds: checkpoint.examDuration,
+      // Restart the clock so exactly the remaining time is left
+      startedAt: now - (checkpoint.examDuration - remainingSeconds) * 1000,
+      pausedAt: null,
+      pausedSeconds: checkpoint.pausedSeconds,
+      remainingSeconds,
+    },
+  }, now);
+  return remainingSeconds === 0 ? finish(resumed, now) : resumed;
+};
+
+const answer = (state, answerIndex, now) => {
+  const q = getCurrentQuestion(state);
+  // The question is hidden while a pausable exam is paused
+  if (state.phase !== 'answering' || !q || (state.timer && state.timer.pausedAt !== null)) return state;
+  const answered = { ...state, answers: { ...state.answers, [q.id]: answerIndex } };
+  if (!isPracticeMode(state.mode)) return answered;
+  // Practice answers are final, so the clock stops at the answer
+  return state.answers[q.id] === undefined ? stopClock(answered, now) : state;
+};
+
+// Steps the target difficulty from the answer streak and swaps the upcoming
+// question for one nearer it in the same domain. Practice answers are locked
+// once given, so session order up to the current question is answer order.
+const adaptUpcoming = (state, pool) => {
+  const results = state.questions.slice(0, state.currentIndex + 1)
+    .filter(q => state.answers[q.id] !== undefined)
+    .map(q => state.answers[q.id] === q.correctAnswer);
+  const difficulty = getNextDifficulty(results, state.difficulty);
+  const nextIndex = state.currentIndex + 1;
+  if (nextIndex >= state.questions.length) return { ...state, difficulty };
+  const planned = state.questions[nextIndex];
+  const picked = pickAdaptiveQuestion({
+    planned,
+    pool,
+    sessionIds: new Set(state.questions.map(q => q.id)),
+    targetDifficulty: difficulty,
+    rng: createRng(`${state.seed}:${nextIndex}`),
+  });
+  if (picked.id === planned.id) return { ...state, difficulty };
+  const replacement = planned.optionOrder ? shuffleQuestionOptions(picked, state.seed) : picked;
+  return { ...state, difficulty, questions: state.questions.map((q, i) => (i === nextIndex ? replacement : q)) };
+};
+
+// `pool` is the bank adaptive practice may draw replacements from. Moving
+// forward again after going back revisits questions already served, so
+// neither the difficulty nor the questions change then.
+const next = (state, pool, now) => {
+  const adapts = state.mode === 'practice' && state.adaptive && state.currentIndex >= state.furthestIndex;
+  const adapted = adapts ? adaptUpcoming(state, pool) : state;
+  if (adapted.currentIndex < adapted.questions.length - 1) return goTo(adapted, adapted.currentIndex + 1, now);
+  return adapted.mode === 'exam' ? { ...stopClock(adapted, now), phase: 'reviewing' } : finish(adapted, now);
+};
+
+const toggleFlag = (state, questionId) => {
+  const flagged = new Set(state.flagged);
+  if (flagged.has(questionId)) flagged.delete(questionId);
+  else flagged.add(questionId);
+  return { ...state, flagged };
+};
+
+// Pausable policies only. Shifting the start times forward by the paused
+// span leaves only active time counted.
+const togglePause = (state, now) => {
+  const { timer } = state;
+  if (!timer || !TIMER_MODES[timer.mode].pausable) return state;
+  if (timer.pausedAt === null) {
+    return { ...stopClock(state, now), timer: { ...timer, pausedAt: now } };
+  }
+  const pausedMs = now - timer.pausedAt;
+  return startClock({
+    ...state,
+    startedAt: state.startedAt + pausedMs,
+    timer: {
+      ...timer,
+      startedAt: timer.startedAt + pausedMs,
+      pausedAt: null,
+      pausedSeconds: timer.pausedSeconds + Math.round(pausedMs / 1000),
+    },
+  }, now);
+};
+
+// The exam submits itself when the clock reaches zero.
+const tick = (state, now) => {
+  const { timer } = state;
+  if (!timer || timer.pausedAt !== null) return state;
+  const remainingSeconds = timer.durationSeconds - Math.floor((now - timer.startedAt) / 1000);
+  if (remainingSeconds <= 0) return finish({ ...state, timer: { ...timer, remainingSeconds: 0 } }, now);
+  return remainingSeconds === timer.remainingSeconds ? state : { ...state, timer: { ...timer, remainingSeconds } };
+};
+
+const finish = (state, now) => {
+  const stopped = stopClock(state, now);
+  const { timer } = stopped;
+  return {
+    ...stopped,
+    phase: 'finished',
+    result: buildSessionRecord({
+      questions: stopped.questions,
+      answers: stopped.answers,
+      questionTimes: stopped.questionTimes,
+      flagged: stopped.flagged,
+      mode: stopped.mode,
+      elapsedMs: now - stopped.startedAt,
+      timerPolicy: timer && {
+        mode: timer.mode,
+        extension: timer.extension,
+        durationSeconds: timer.durationSeconds,
+        pausedSeconds: timer.pausedSeconds,
+      },
+      seed: stopped.seed,
+      now,
+    }),
+  };
+};
+
+const ACTIVE_PHASES = ['answering', 'reviewing'];
+
+// Actions:
+//   start { mode, questions, seed, adaptive, timer, now }
+//   resume { checkpoint, questions, now }   (questions from restoreQuestions)
+//   answer { answerIndex, now }             (for the current question)
+//   next { pool, now }, previous { now }, jump { index, now }
+//   review { now }                          (exam pre-submit review)
+//   toggle-flag { questionId }, toggle-pause { now }, tick { now }
+//   submit { now }, close
+export const sessionReducer = (state, action) => {
+  if (action.type === 'start') return start(action);
+  if (action.type === 'resume') return resume(action);
+  if (action.type === 'close') return initialSessionState;
+  if (!ACTIVE_PHASES.includes(state.phase)) return state;
+  switch (action.type) {
+    case 'answer': return answer(state, action.answerIndex, action.now);
+    case 'next': return next(state, action.pool, action.now);
+    case 'previous': return state.currentIndex > 0 ? goTo(state, state.currentIndex - 1, action.now) : state;
+    case 'jump': return goTo(state, action.index, action.now);
+    case 'review': return state.mode === 'exam' ? { ...stopClock(state, action.now), phase: 'reviewing' } : state;
+    case 'toggle-flag': return toggleFlag(state, action.questionId);
+    case 'toggle-pause': return togglePause(state, action.now);
+    case 'tick': return tick(state, action.now);
+    case 'submit': return finish(state, action.now);
+    default: return state;
+  }
+};
+
+// --- Checkpoints ---
+// A serialisable snapshot saved after every change so a closed tab or a trip
+// to the dashboard can be resumed. Questions are stored by ID and rebuilt from
+// the bank (and the seed, for shuffled options) by restoreQuestions.
+
+const CHECKPOINT_INTERVAL_SECONDS = 30;
+const CHECKPOINT_FIELDS = ['phase', 'questions', 'currentIndex', 'answers', 'questionTimes', 'flagged'];
+
+const timeSlot = ({ timer }) => (timer ? Math.floor(timer.remainingSeconds / CHECKPOINT_INTERVAL_SECONDS) : 0);
+
+// Whether `state` needs a new checkpoint after `previous` was saved: on any
+// answer, navigation or pause, but only every CHECKPOINT_INTERVAL_SECONDS of
+// exam clock ticks.
+export const isCheckpointDue = (previous, state) => (
+  CHECKPOINT_FIELDS.some(key => previous[key] !== state[key])
+  || timeSlot(previous) !== timeSlot(state)
+  || (previous.timer && previous.timer.pausedAt) !== (state.timer && state.timer.pausedAt)
+);
+
+export const toCheckpoint = (state, now) => {
+  // Time on the question in view is banked so it survives leaving the session
+  const banked = stopClock(state, now);
+  const { timer } = banked;
+  const activeNow = timer && timer.pausedAt !== null ? timer.pausedAt : now;
+  return {
+    mode: banked.mode,
+    questionIds: banked.questions.map(q => q.id),
+    currentQuestion: banked.currentIndex,
+    furthestQuestion: banked.furthestIndex,
+    selectedAnswers: banked.answers,
+    questionTimes: banked.questionTimes,
+    flagged: [...banked.flagged],
+    elapsedSeconds: Math.round((activeNow - banked.startedAt) / 1000),
+    examDuration: timer ? timer.durationSeconds : null,
+    remainingSeconds: timer ? timer.remainingSeconds : null,
+    timerPolicy: timer && { mode: timer.mode, extension: timer.extension },
+    pausedSeconds: timer ? timer.pausedSeconds : 0,
+    adaptive: banked.adaptive,
+    currentDifficulty: banked.difficulty,
+    seed: banked.seed,
+    optionShuffle: banked.questions.some(q => q.optionOrder),
+    savedAt: new Date(now).toISOString(),
+  };
+};
+
+// Questions no longer in the bank are dropped.
+export const restoreQuestions = (checkpoint, bankQuestions) => {
+  const byId = new Map(bankQuestions.map(q => [q.id, q]));
+  return prepareSessionQuestions(
+    checkpoint.questionIds.map(id => byId.get(id)).filter(Boolean),
+    checkpoint.seed,
+    checkpoint.optionShuffle
+  );
+};
+
+// Record for a checkpointed session that is being discarded, scored as
+// incomplete so it still shows in history. Null when nothing was answered.
+export const recordAbandonedSession = (checkpoint, bankQuestions, now) => {
+  if (Object.keys(checkpoint.selectedAnswers).length === 0) return null;
+  return buildSessionRecord({
+    questions: restoreQuestions(checkpoint, bankQuestions),
+    answers: checkpoint.selectedAnswers,
+    questionTimes: checkpoint.questionTimes,
+    flagged: checkpoint.flagged,
+    mode: checkpoint.mode,
+    elapsedMs: checkpoint.elapsedSeconds * 1000,
+    timerPolicy: checkpoint.timerPolicy && {
+      ...checkpoint.timerPolicy,
+      durationSeconds: checkpoint.examDuration,
+      pausedSeconds: checkpoint.pausedSeconds,
+    },
+    seed: checkpoint.seed,
+    status: 'incomplete',
+    now,
+  });
+};
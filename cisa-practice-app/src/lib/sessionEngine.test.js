@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionReducer, initialSessionState, toCheckpoint, isCheckpointDue } from './sessionEngine.js';
+
+// --- Fixtures ---
+const makeQuestion = (i, difficulty = 3) => ({
+  id: `q${i}`,
+  question: `Question ${i}`,
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswer: 0,
+  domain: 'Domain 1',
+  difficulty,
+  explanation: '',
+});
+const questions = [0, 1, 2].map(i => makeQuestion(i));
+const pool = [...Array(20)].map((_, i) => makeQuestion(i, (i % 5) + 1));
+
+const run = (state, ...actions) => actions.reduce(sessionReducer, state);
+
+const startExam = (timerMode, durationSeconds = 600) => sessionReducer(initialSessionState, {
+  type: 'start',
+  mode: 'exam',
+  questions,
+  seed: 'seed',
+  timer: { mode: timerMode, extension: 0, durationSeconds },
+  now: 0,
+});
+
+const startPractice = (adaptive = false) => sessionReducer(initialSessionState, {
+  type: 'start', mode: 'practice', questions: pool.slice(0, 5), seed: 'seed', adaptive, now: 0,
+});
+
+// --- Answering and navigation ---
+test('practice answers are final and bank the question time', () => {
+  const state = run(startPractice(),
+    { type: 'answer', answerIndex: 2, now: 5000 },
+    { type: 'answer', answerIndex: 0, now: 6000 });
+  assert.equal(state.answers.q0, 2);
+  assert.equal(state.questionTimes.q0, 5);
+  assert.equal(state.clockStartedAt, null);
+});
+
+test('exam answers can change and flags toggle', () => {
+  const state = run(startExam('strict'),
+    { type: 'answer', answerIndex: 1, now: 1000 },
+    { type: 'answer', answerIndex: 3, now: 2000 },
+    { type: 'toggle-flag', questionId: 'q0', now: 2000 });
+  assert.equal(state.answers.q0, 3);
+  assert.ok(state.flagged.has('q0'));
+  assert.ok(!run(state, { type: 'toggle-flag', questionId: 'q0', now: 3000 }).flagged.has('q0'));
+});
+
+test('next on the last question reviews an exam and finishes practice', () => {
+  const exam = run(startExam('strict'), { type: 'jump', index: 2, now: 1000 }, { type: 'next', now: 2000 });
+  assert.equal(exam.phase, 'reviewing');
+  const practice = run(startPractice(), { type: 'jump', index: 4, now: 1000 }, { type: 'next', now: 2000 });
+  assert.equal(practice.phase, 'finished');
+  assert.equal(practice.result.mode, 'practice');
+});
+
+test('adaptive practice does not swap or re-step on a revisit', () => {
+  let state = startPractice(true);
+  for (let i = 0; i < 2; i++) state = run(state, { type: 'answer', answerIndex: 0, now: 1000 }, { type: 'next', pool, now: 2000 });
+  state = run(state, { type: 'answer', answerIndex: 0, now: 3000 });
+  const ids = state.questions.map(q => q.id);
+  const revisited = run(state, { type: 'previous', now: 4000 }, { type: 'next', pool, now: 5000 });
+  assert.deepEqual(revisited.questions.map(q => q.id), ids);
+  assert.equal(revisited.difficulty, state.difficulty);
+});
+
+// --- Timer ---
+test('pausing stops the exam clock and blocks answers', () => {
+  const paused = run(startExam('pausable'), { type: 'tick', now: 10000 }, { type: 'toggle-pause', now: 10000 });
+  const ignored = run(paused, { type: 'answer', answerIndex: 1, now: 20000 }, { type: 'tick', now: 70000 });
+  assert.equal(ignored.answers.q0, undefined);
+  assert.equal(ignored.timer.remainingSeconds, 590);
+  const resumed = run(ignored, { type: 'toggle-pause', now: 70000 }, { type: 'tick', now: 80000 });
+  assert.equal(resumed.timer.remainingSeconds, 580);
+});
+
+test('strict exams cannot be paused', () => {
+  const state = startExam('strict');
+  assert.equal(run(state, { type: 'toggle-pause', now: 1000 }), state);
+});
+
+test('the exam submits itself when time runs out', () => {
+  const state = run(startExam('strict', 60),
+    { type: 'answer', answerIndex: 0, now: 1000 },
+    { type: 'tick', now: 59000 });
+  assert.equal(state.phase, 'answering');
+  const expired = run(state, { type: 'tick', now: 60000 });
+  assert.equal(expired.phase, 'finished');
+  assert.equal(expired.timer.remainingSeconds, 0);
+  assert.equal(expired.result.correctAnswers, 1);
+  assert.equal(expired.result.totalQuestions, 3);
+});
+
+// --- Checkpoints and resume ---
+const checkpointAt = (state, now) => toCheckpoint(run(state, { type: 'tick', now }), now);
+const resume = (checkpoint, now) => sessionReducer(initialSessionState, { type: 'resume', checkpoint, questions, now });
+
+test('resume restores answers, flags and position', () => {
+  const state = run(startExam('pausable'),
+    { type: 'answer', answerIndex: 2, now: 1000 },
+    { type: 'toggle-flag', questionId: 'q0', now: 1000 },
+    { type: 'next', now: 4000 });
+  const resumed = resume(toCheckpoint(state, 5000), 100000);
+  assert.equal(resumed.phase, 'answering');
+  assert.equal(resumed.currentIndex, 1);
+  assert.equal(resumed.answers.q0, 2);
+  assert.ok(resumed.flagged.has('q0'));
+  assert.equal(resumed.questionTimes.q0, 4);
+});
+
+test('strict exams keep counting down while the session is closed', () => {
+  const resumed = resume(checkpointAt(startExam('strict'), 100000), 400000);
+  assert.equal(resumed.timer.remainingSeconds, 200);
+  assert.equal(run(resumed, { type: 'tick', now: 410000 }).timer.remainingSeconds, 190);
+});
+
+test('pausable exams resume with the time they were left with', () => {
+  const resumed = resume(checkpointAt(startExam('pausable'), 100000), 400000);
+  assert.equal(resumed.timer.remainingSeconds, 500);
+});
+
+test('resuming a strict exam after its time is up submits it', () => {
+  const resumed = resume(checkpointAt(startExam('strict'), 100000), 900000);
+  assert.equal(resumed.phase, 'finished');
+  assert.equal(resumed.result.status, 'complete');
+});
+
+test('checkpoints are due on changes and every 30s of exam time', () => {
+  const state = run(startExam('strict'), { type: 'tick', now: 1000 });
+  assert.ok(!isCheckpointDue(state, run(state, { type: 'tick', now: 29000 })));
+  assert.ok(isCheckpointDue(state, run(state, { type: 'tick', now: 31000 })));
+  assert.ok(isCheckpointDue(state, run(state, { type: 'answer', answerIndex: 0, now: 1000 })));
+});
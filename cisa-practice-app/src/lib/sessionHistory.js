@@ -0,0 +1,81 @@
+// --- Session history queries ---
+
+export const HISTORY_PAGE_SIZE = 10;
+
+export const EMPTY_HISTORY_FILTERS = { mode: 'all', from: '', to: '', domain: 'all', minScore: 0, maxScore: 100 };
+
+const percent = (stats) => (stats && stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : null);
+
+// Score used by the filters: the domain's score when a domain is selected,
+// otherwise the session's overall percentage.
+export const sessionScore = (session, domain = 'all') => (
+  domain === 'all' ? session.percentage : percent(session.domainBreakdown?.[domain])
+);
+
+// Local calendar day, to match what a date input shows.
+const localDay = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// `from` / `to` are YYYY-MM-DD strings from date inputs and are inclusive.
+export const filterSessions = (sessions, filters) => sessions.filter(s => {
+  const day = localDay(s.date);
+  if (filters.mode !== 'all' && s.mode !== filters.mode) return false;
+  if (filters.from && day < filters.from) return false;
+  if (filters.to && day > filters.to) return false;
+  const score = sessionScore(s, filters.domain);
+  if (score === null) return false;
+  return score >= filters.minScore && score <= filters.maxScore;
+});
+
+export const paginate = (items, page, pageSize = HISTORY_PAGE_SIZE) => ({
+  items: items.slice(page * pageSize, (page + 1) * pageSize),
+  pageCount: Math.max(1, Math.ceil(items.length / pageSize)),
+});
+
+// Per-domain scores for two sessions, with the change from `a` to `b`.
+export const compareSessions = (a, b) => {
+  const domains = [...new Set([...Object.keys(a.domainBreakdown || {}), ...Object.keys(b.domainBreakdown || {})])].sort();
+  return domains.map(domain => {
+    const scoreA = percent(a.domainBreakdown?.[domain]);
+    const scoreB = percent(b.domainBreakdown?.[domain]);
+    return { domain, scoreA, scoreB, delta: scoreA !== null && scoreB !== null ? scoreB - scoreA : null };
+  });
+};
+
+// --- Dashboard summaries ---
+
+// Sessions recorded as incomplete (left unfinished) don't count as completed.
+export const getOverallStats = (sessionHistory) => {
+  if (sessionHistory.length === 0) return { averageScore: 0, completedSessions: 0, totalQuestions: 0 };
+  const totalQuestions = sessionHistory.reduce((sum, s) => sum + s.totalQuestions, 0);
+  const averageScore = sessionHistory.reduce((sum, s) => sum + s.percentage, 0) / sessionHistory.length;
+  const completedSessions = sessionHistory.filter(s => s.status !== 'incomplete').length;
+  return { averageScore: Math.round(averageScore), completedSessions, totalQuestions };
+};
+
+export const getDomainChartData = (domainPerformance) => Object.entries(domainPerformance).map(([domain, stats]) => ({
+  domain,
+  percentage: stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0
+}));
+
+export const getProgressChartData = (sessionHistory) => sessionHistory.slice().reverse().map((session, index) => ({
+  session: `S${index + 1}`,
+  score: session.percentage
+}));
+
+// Cumulative per-domain stats with a session's breakdown added (sign 1) or
+// backed out (sign -1, when a session is deleted).
+export const applyDomainBreakdown = (domainPerformance, domainBreakdown, sign = 1) => {
+  const updated = { ...domainPerformance };
+  for (const domain in domainBreakdown) {
+    const current = updated[domain] || { correct: 0, total: 0 };
+    updated[domain] = {
+      correct: Math.max(0, current.correct + sign * domainBreakdown[domain].correct),
+      total: Math.max(0, current.total + sign * domainBreakdown[domain].total),
+    };
+    if (updated[domain].total === 0) delete updated[domain];
+  }
+  return updated;
+};
@@ -0,0 +1,39 @@
+import { toOriginalAnswer } from './shuffle.js';
+
+// --- Session records ---
+// Builds the object stored in sessionHistory for a finished or abandoned session.
+// Incomplete sessions are scored over answered questions only, so walking
+// away early doesn't count the untouched remainder as wrong.
+// Answers to shuffled options are stored as the bank's option indices, so
+// reviews and exports read them against the unshuffled questions.
+export const buildSessionRecord = ({ questions, answers, questionTimes, flagged = [], mode, elapsedMs = 0, timerPolicy = null, seed = null, status = 'complete', now = Date.now() }) => {
+  const scored = status === 'incomplete' ? questions.filter(q => answers[q.id] !== undefined) : questions;
+  const correct = scored.filter(q => answers[q.id] === q.correctAnswer).length;
+  const domainBreakdown = scored.reduce((acc, q) => {
+    acc[q.domain] = acc[q.domain] || { correct: 0, total: 0 };
+    acc[q.domain].total++;
+    if (answers[q.id] === q.correctAnswer) acc[q.domain].correct++;
+    return acc;
+  }, {});
+  return {
+    id: now,
+    date: new Date(now).toISOString(),
+    mode,
+    status,
+    totalQuestions: scored.length,
+    plannedQuestions: questions.length,
+    correctAnswers: correct,
+    percentage: scored.length > 0 ? Math.round((correct / scored.length) * 100) : 0,
+    timeSpent: Math.round(elapsedMs / 60000),
+    domainBreakdown,
+    questionTimes: { ...questionTimes },
+    questionIds: questions.map(q => q.id),
+    answers: Object.fromEntries(questions
+      .filter(q => answers[q.id] !== undefined)
+      .map(q => [q.id, toOriginalAnswer(q, answers[q.id])])),
+    flagged: [...flagged],
+    timerPolicy,
+    seed,
+    optionShuffle: questions.some(q => q.optionOrder)
+  };
+};
@@ -0,0 +1,69 @@
+// --- Question screen keyboard shortcuts and swipe gestures ---
+// B is also an answer letter, so bookmarking takes Shift+B. Nothing here can
+// reveal an answer: in exams the keys only select, move and flag, as the
+// buttons do.
+
+const OPTION_KEYS = ['a', 'b', 'c', 'd'];
+const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+// For the help overlay. `examOnly` rows are hidden in practice.
+export const SHORTCUTS = [
+  { keys: ['A–D', '1–4'], description: 'Select an answer' },
+  { keys: ['Enter'], description: 'Next question, or finish on the last one' },
+  { keys: ['←', '→'], description: 'Previous / next question' },
+  { keys: ['Shift+B'], description: 'Bookmark the question' },
+  { keys: ['F'], description: 'Flag for review', examOnly: true },
+  { keys: ['?'], description: 'Show or hide shortcuts' },
+];
+
+// Keys typed into a field, or pressed with Ctrl/Cmd/Alt, are left to the browser.
+export const isShortcutEvent = (event) => !(event.ctrlKey || event.metaKey || event.altKey)
+  && !(event.target && (EDITABLE_TAGS.includes(event.target.tagName) || event.target.isContentEditable));
+
+// Returns the command for a key press, or null if the key does nothing here:
+// { type: 'answer', index } | { type: 'next' | 'previous' | 'review' | 'submit' | 'bookmark' | 'flag' | 'help' }
+// `view` is { isExam, answered, isFirst, isLast, optionCount, paused }.
+export const getShortcutCommand = ({ key, shiftKey }, view) => {
+  if (key === '?') return { type: 'help' };
+  // The question is hidden while an exam is paused
+  if (view.paused) return null;
+  const lower = key.toLowerCase();
+  if (lower === 'b' && shiftKey) return { type: 'bookmark' };
+
+  const index = OPTION_KEYS.includes(lower) ? OPTION_KEYS.indexOf(lower) : ['1', '2', '3', '4'].indexOf(key);
+  if (index !== -1) {
+    // Practice answers are final once given
+    return index < view.optionCount && (view.isExam || !view.answered) ? { type: 'answer', index } : null;
+  }
+
+  // Practice moves on only after an answer; exams may skip ahead
+  const canAdvance = view.isExam || view.answered;
+  switch (key) {
+    case 'Enter':
+      if (!canAdvance) return null;
+      if (!view.isLast) return { type: 'next' };
+      return { type: view.isExam ? 'review' : 'submit' };
+    case 'ArrowRight':
+      if (!canAdvance) return null;
+      if (!view.isLast) return { type: 'next' };
+      return view.isExam ? { type: 'review' } : null;
+    case 'ArrowLeft':
+      return view.isFirst ? null : { type: 'previous' };
+    default:
+      return lower === 'f' && view.isExam ? { type: 'flag' } : null;
+  }
+};
+
+// Swipes follow the arrow keys' rules: left moves on, right goes back.
+// Swiping down on the header card bookmarks; vertical swipes anywhere else are
+// left to page scrolling. No swipe selects an answer, since a thumb dragging
+// across the options must not pick one.
+export const getSwipeCommand = (dir, view) => {
+  if (view.paused) return null;
+  switch (dir) {
+    case 'Left': return getShortcutCommand({ key: 'ArrowRight' }, view);
+    case 'Right': return getShortcutCommand({ key: 'ArrowLeft' }, view);
+    case 'Down': return { type: 'bookmark' };
+    default: return null;
+  }
+};
@@ -0,0 +1,95 @@
+// --- Seeded shuffling ---
+// Sessions draw and order questions from a seeded generator so the same seed
+// and bank reproduce the same session. Seeds are short strings so they can be
+// read off the results screen and typed back in to replay a mock exam.
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// FNV-1a, turning any seed string into a 32-bit generator state.
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+export const createSeed = () => Math.floor(Math.random() * 0x100000000).toString(36).padStart(7, '0');
+
+// Mulberry32: returns a () => [0, 1) generator, like Math.random.
+export const createRng = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+// Fisher-Yates; returns a shuffled copy.
+export const shuffle = (items, rng) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// --- Answer option shuffling ---
+// Explanations label each option's rationale "A. … B. … C. …". Only a strict
+// run is relabelled: the explanation must open with "A." and the markers must
+// go A, B[, C[, D]] with no repeats or gaps, since a stray "B." in prose or an
+// irregular run can't be told apart from a real label.
+const MARKER_PATTERN = /(^|\s)([A-D])\.\s/g;
+
+// Returns the rationale markers as { letter, start, textStart }, [] when the
+// explanation has none, or null when they can't be relabelled safely.
+export const parseExplanationMarkers = (explanation, optionCount) => {
+  const text = String(explanation || '');
+  const markers = [...text.matchAll(MARKER_PATTERN)].map(match => ({
+    letter: match[2],
+    start: match.index + match[1].length,
+    textStart: match.index + match[0].length,
+  }));
+  if (markers.length === 0) return [];
+  const strict = markers.length >= 2
+    && markers.length <= optionCount
+    && text.slice(0, markers[0].start).trim() === ''
+    && markers.every((marker, i) => marker.letter === LETTERS[i]);
+  return strict ? markers : null;
+};
+
+const relabelExplanation = (explanation, markers, optionOrder) => markers
+  .map((marker, i) => ({
+    position: optionOrder.indexOf(LETTERS.indexOf(marker.letter)),
+    text: explanation.slice(marker.textStart, i + 1 < markers.length ? markers[i + 1].start : undefined).trim(),
+  }))
+  .sort((a, b) => a.position - b.position)
+  .map(segment => `${LETTERS[segment.position]}. ${segment.text}`)
+  .join(' ');
+
+// Returns a copy of `question` with its options in a shuffled order.
+// `optionOrder[shown]` is the original index of the option shown at `shown`,
+// so answers can be mapped back before they are stored. Each question's order
+// derives from the session seed and its ID alone, so resuming a session or
+// swapping in an adaptive replacement reproduces it. Questions whose
+// explanation can't be relabelled keep the bank's order.
+export const shuffleQuestionOptions = (question, seed) => {
+  const markers = parseExplanationMarkers(question.explanation, question.options.length);
+  if (markers === null) return { ...question, optionOrder: question.options.map((_, i) => i) };
+  const optionOrder = shuffle(question.options.map((_, i) => i), createRng(`${seed}:${question.id}`));
+  return {
+    ...question,
+    options: optionOrder.map(i => question.options[i]),
+    correctAnswer: optionOrder.indexOf(question.correctAnswer),
+    explanation: markers.length > 0 ? relabelExplanation(question.explanation, markers, optionOrder) : question.explanation,
+    optionOrder,
+  };
+};
+
+// Maps an answer given on a shuffled question back to the bank's option index.
+export const toOriginalAnswer = (question, answer) => (question.optionOrder ? question.optionOrder[answer] : answer);
@@ -0,0 +1,75 @@
+// --- Spaced repetition (SM-2) ---
+// Each questionPerformance record doubles as an SM-2 card:
+// { correctCount, totalCount, lastCorrect, ease, interval, repetitions, due, lastReviewed }
+// `interval` is in days and `due` is a local calendar date (YYYY-MM-DD), so
+// questions fall due at the user's midnight rather than UTC's.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+// Average time per question on the real exam (240 min / 150 questions).
+export const EXAM_PACE_SECONDS = 96;
+// Answers taking longer than this count as slow (graded down, flagged in review).
+export const SLOW_ANSWER_SECONDS = EXAM_PACE_SECONDS * 1.5;
+
+export const DEFAULT_CARD = { ease: 2.5, interval: 0, repetitions: 0, due: null, lastReviewed: null };
+
+export const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Calendar days, so a daylight-saving change can't shift the due date.
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Maps an answer to an SM-2 quality grade (0-5). There's no self-rating in
+// the UI, so response time stands in for recall effort.
+export const gradeAnswer = (isCorrect, secondsSpent = 0) => {
+  if (!isCorrect) return 1;
+  if (secondsSpent > SLOW_ANSWER_SECONDS) return 3;
+  if (secondsSpent > EXAM_PACE_SECONDS / 2) return 4;
+  return 5;
+};
+
+// Returns the card's scheduling fields after a review of the given quality.
+export const scheduleReview = (card, quality, now = new Date()) => {
+  const current = { ...DEFAULT_CARD, ...card };
+  let { ease, interval, repetitions } = current;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: toDateString(addDays(now, interval)),
+    lastReviewed: now.toISOString(),
+  };
+};
+
+export const isDue = (stats, now = new Date()) => Boolean(stats && stats.due) && stats.due <= toDateString(now);
+
+// Days past due (negative when not yet due, null for unscheduled questions).
+export const daysOverdue = (stats, now = new Date()) => {
+  if (!stats || !stats.due) return null;
+  return Math.floor((new Date(toDateString(now)) - new Date(stats.due)) / DAY_MS);
+};
+
+// A Due Today session reviews at most this many questions, most overdue first;
+// the rest stay due for the next one.
+export const DUE_BATCH_SIZE = 20;
+
+// Questions due for review, most overdue first, then hardest (lowest ease).
+export const getDueQuestions = (questions, questionPerformance, now = new Date()) => questions
+  .filter(q => isDue(questionPerformance[q.id], now))
+  .sort((a, b) => {
+    const statsA = questionPerformance[a.id];
+    const statsB = questionPerformance[b.id];
+    return statsA.due.localeCompare(statsB.due) || (statsA.ease - statsB.ease);
+  });
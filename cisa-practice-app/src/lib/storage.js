@@ -0,0 +1,279 @@
+import { assignQuestionIds } from './questionId.js';
+import { DEFAULT_CARD, toDateString } from './spacedRepetition.js';
+
+// --- Persistent progress storage ---
+// IndexedDB is the primary store; localStorage is used when IndexedDB is
+// unavailable (old browsers, some private modes) and an in-memory map is the
+// last resort so the app still runs when neither can be opened.
+
+const DB_NAME = 'cisa-practice';
+const DB_VERSION = 1;
+const STORE_NAME = 'progress';
+const LOCAL_PREFIX = 'cisa-practice:';
+const VERSION_KEY = 'schemaVersion';
+
+// Bump SCHEMA_VERSION and add a matching entry to MIGRATIONS whenever the
+// shape of any persisted value changes.
+export const SCHEMA_VERSION = 3;
+
+export const PROGRESS_DEFAULTS = {
+  sessionHistory: [],
+  domainPerformance: {},
+  questionPerformance: {},
+  bookmarked: [],
+  incorrect: [],
+  examDate: null,
+  studyPlan: [],
+  darkMode: false,
+  questionBanks: [],
+  activeBankId: 'builtin',
+  questionCalibration: {},
+  questionTags: {},
+  practicePresets: [],
+  activeSession: null,
+};
+
+// --- Question ID remapping ---
+// Builds a lookup from the index-based IDs used before schema v2 (row index + 1,
+// or an explicit `id` column) to content-based IDs for the bank that was active.
+const buildLegacyIdMap = (data, context) => {
+  const bank = (data.questionBanks || []).find(b => b.id === data.activeBankId);
+  const rows = bank ? bank.rows : (context.builtinRows || []);
+  const newIds = assignQuestionIds(rows);
+  return new Map(rows.map((row, i) => [String(row.id || i + 1), newIds[i]]));
+};
+
+const remapKeys = (obj, remap) => Object.fromEntries(
+  Object.entries(obj || {}).map(([id, value]) => [remap(id), value])
+);
+
+// --- Migrations ---
+// Each entry upgrades data from (version - 1) to version. `context` carries
+// anything a migration needs besides the stored data (e.g. the question bank).
+const MIGRATIONS = {
+  // v0 -> v1: unversioned data from earlier releases. Normalise shapes that
+  // older builds wrote loosely.
+  1: (data) => ({
+    ...data,
+    sessionHistory: Array.isArray(data.sessionHistory) ? data.sessionHistory : [],
+    bookmarked: Array.isArray(data.bookmarked) ? data.bookmarked : [],
+    incorrect: Array.isArray(data.incorrect) ? data.incorrect : [],
+    studyPlan: Array.isArray(data.studyPlan) ? data.studyPlan : [],
+    questionPerformance: Object.fromEntries(
+      Object.entries(data.questionPerformance || {}).map(([id, stats]) => [id, {
+        correctCount: stats.correctCount || 0,
+        totalCount: stats.totalCount || 0,
+        lastCorrect: Boolean(stats.lastCorrect),
+      }])
+    ),
+  }),
+  // v1 -> v2: question IDs switch from array position to a content hash.
+  2: (data, context) => {
+    const idMap = buildLegacyIdMap(data, context);
+    const remap = (id) => idMap.get(String(id)) ?? id;
+    return {
+      ...data,
+      questionPerformance: remapKeys(data.questionPerformance, remap),
+      bookmarked: data.bookmarked.map(remap),
+      incorrect: data.incorrect.map(remap),
+      sessionHistory: data.sessionHistory.map(session => ({
+        ...session,
+        questionTimes: remapKeys(session.questionTimes, remap),
+        ...(session.questionIds && { questionIds: session.questionIds.map(remap) }),
+        ...(session.answers && { answers: remapKeys(session.answers, remap) }),
+      })),
+    };
+  },
+  // v2 -> v3: questionPerformance records gain SM-2 scheduling fields. Every
+  // previously seen question becomes due today so it enters the review queue.
+  3: (data) => ({
+    ...data,
+    questionPerformance: Object.fromEntries(
+      Object.entries(data.questionPerformance).map(([id, stats]) => [id, {
+        ...DEFAULT_CARD,
+        ...stats,
+        repetitions: stats.lastCorrect ? 1 : 0,
+        interval: stats.lastCorrect ? 1 : 0,
+        due: stats.due || toDateString(new Date()),
+      }])
+    ),
+  }),
+};
+
+export const migrateProgress = (data, fromVersion, context = {}) => {
+  let migrated = data;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated, context);
+  }
+  return migrated;
+};
+
+// --- Errors ---
+export class StorageQuotaError extends Error {
+  constructor(backend, cause) {
+    super(`Storage quota exceeded (${backend}). Recent progress could not be saved.`);
+    this.name = 'StorageQuotaError';
+    this.backend = backend;
+    this.cause = cause;
+  }
+}
+
+const isQuotaError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014
+);
+
+// --- Backends ---
+// Every backend exposes the same async interface: getAll(keys) resolving to
+// an object of the keys that exist, and setMany(entries) writing them.
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openIndexedDB = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB open was blocked'));
+});
+
+const createIndexedDBBackend = async () => {
+  const db = await openIndexedDB();
+  return {
+    name: 'indexeddb',
+    getAll: async (keys) => {
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const values = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+      return keys.reduce((acc, key, i) => {
+        if (values[i] !== undefined) acc[key] = values[i];
+        return acc;
+      }, {});
+    },
+    setMany: (entries) => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      Object.entries(entries).forEach(([key, value]) => store.put(value, key));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    }),
+  };
+};
+
+const createLocalStorageBackend = () => {
+  // Accessing localStorage throws in some sandboxed/private contexts.
+  const probe = `${LOCAL_PREFIX}__probe`;
+  window.localStorage.setItem(probe, '1');
+  window.localStorage.removeItem(probe);
+  return {
+    name: 'localstorage',
+    getAll: async (keys) => keys.reduce((acc, key) => {
+      const item = window.localStorage.getItem(LOCAL_PREFIX + key);
+      if (item === null) return acc;
+      try {
+        acc[key] = JSON.parse(item);
+      } catch {
+        acc[key] = item; // Return as is if not JSON
+      }
+      return acc;
+    }, {}),
+    setMany: async (entries) => {
+      Object.entries(entries).forEach(([key, value]) => {
+        window.localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify(value));
+      });
+    },
+  };
+};
+
+const createMemoryBackend = () => {
+  const storage = {};
+  return {
+    name: 'memory',
+    getAll: async (keys) => keys.reduce((acc, key) => {
+      if (storage[key] !== undefined) acc[key] = JSON.parse(storage[key]);
+      return acc;
+    }, {}),
+    setMany: async (entries) => {
+      Object.entries(entries).forEach(([key, value]) => { storage[key] = JSON.stringify(value); });
+    },
+  };
+};
+
+const openBackend = async () => {
+  try {
+    return await createIndexedDBBackend();
+  } catch (error) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+  }
+  try {
+    return createLocalStorageBackend();
+  } catch (error) {
+    console.warn('localStorage unavailable, progress will not survive a reload:', error);
+  }
+  return createMemoryBackend();
+};
+
+// --- Public API ---
+export const createPersistentStorage = () => {
+  let backendPromise = null;
+  const getBackend = () => {
+    if (!backendPromise) backendPromise = openBackend();
+    return backendPromise;
+  };
+
+  // Data written while running on the localStorage fallback is carried over
+  // the first time IndexedDB becomes available.
+  const readLegacyLocalStorage = async (keys) => {
+    try {
+      return await createLocalStorageBackend().getAll([VERSION_KEY, ...keys]);
+    } catch {
+      return {};
+    }
+  };
+
+  const load = async (context = {}) => {
+    const backend = await getBackend();
+    const keys = Object.keys(PROGRESS_DEFAULTS);
+    let stored = await backend.getAll([VERSION_KEY, ...keys]);
+    if (Object.keys(stored).length === 0 && backend.name === 'indexeddb') {
+      stored = await readLegacyLocalStorage(keys);
+    }
+
+    const hasData = keys.some(key => stored[key] !== undefined);
+    const storedVersion = stored[VERSION_KEY] ?? (hasData ? 0 : SCHEMA_VERSION);
+    const { [VERSION_KEY]: _version, ...values } = stored;
+    let data = { ...PROGRESS_DEFAULTS, ...values };
+
+    if (storedVersion > SCHEMA_VERSION) {
+      console.warn(`Stored progress uses schema v${storedVersion}, newer than v${SCHEMA_VERSION}. Loading as is.`);
+    } else if (storedVersion < SCHEMA_VERSION) {
+      data = migrateProgress(data, storedVersion, context);
+      await save(data);
+    }
+    return { data, backend: backend.name, migratedFrom: storedVersion < SCHEMA_VERSION ? storedVersion : null };
+  };
+
+  const save = async (values) => {
+    const backend = await getBackend();
+    try {
+      await backend.setMany({ ...values, [VERSION_KEY]: SCHEMA_VERSION });
+    } catch (error) {
+      if (isQuotaError(error)) throw new StorageQuotaError(backend.name, error);
+      throw error;
+    }
+  };
+
+  return { load, save };
+};
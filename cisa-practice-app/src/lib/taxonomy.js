@@ -0,0 +1,209 @@
+// --- CISA job practice taxonomy ---
+// Domain → subdomain (Part A / Part B) → topic, following the ISACA CISA job
+// practice areas. Each topic lists lowercase keywords used by the auto-tagger;
+// a keyword matches at the start of a word, so 'backup' also matches 'backups'.
+// Domain keys match CISA_DOMAIN_WEIGHTS.
+
+export const CISA_TAXONOMY = {
+  'Information System Auditing Process': {
+    'Part A: Planning': {
+      'Audit Standards, Guidelines And Ethics': ['standard', 'guideline', 'code of ethics', 'code of professional ethics', 'audit charter', 'charter', 'independence', 'objectivity', 'due professional care', 'isaca'],
+      'Types Of Audits And Assessments': ['compliance test', 'substantive', 'operational audit', 'financial audit', 'integrated audit', 'forensic audit', 'assessment', 'review type', 'control self-assessment', 'csa'],
+      'Risk-Based Audit Planning': ['risk-based audit', 'risk-based', 'audit plan', 'audit universe', 'audit scope', 'inherent risk', 'control risk', 'detection risk', 'audit risk', 'materiality', 'audit objective'],
+      'Types Of Controls': ['preventive', 'detective', 'corrective', 'compensating control', 'general control', 'application control', 'control objective', 'deterrent'],
+    },
+    'Part B: Execution': {
+      'Audit Project Management': ['audit engagement', 'engagement', 'audit program', 'audit team', 'audit work', 'fieldwork', 'audit resources'],
+      'Sampling Methodology': ['sampling', 'sample', 'statistical', 'attribute sampling', 'variable sampling', 'stratif', 'confidence', 'population'],
+      'Audit Evidence Collection': ['evidence', 'workpaper', 'working paper', 'interview', 'observation', 'walkthrough', 'reperformance', 'inquiry', 'documentation'],
+      'Audit Data Analytics': ['data analytic', 'caat', 'computer-assisted', 'generalized audit software', 'gas', 'continuous audit', 'continuous monitoring', 'embedded audit', 'integrated test facility', 'itf', 'snapshot', 'test data', 'parallel simulation'],
+      'Reporting And Communication': ['audit report', 'report', 'finding', 'recommendation', 'exit meeting', 'closing meeting', 'communicat', 'management response'],
+      'Audit Quality Assurance And Follow-Up': ['follow-up', 'follow up', 'quality assurance', 'peer review', 'audit committee', 'quality of the audit'],
+    },
+  },
+  'Governance And Management Of It': {
+    'Part A: IT Governance': {
+      'Laws, Regulations And Standards': ['law', 'regulat', 'legislation', 'legal', 'statutory', 'compliance requirement', 'sarbanes', 'gdpr', 'hipaa', 'pci'],
+      'IT Strategy And Organizational Structure': ['it strategy', 'strategic', 'steering committee', 'board of directors', 'board', 'organizational structure', 'segregation of duties', 'roles and responsibilities', 'it governance', 'governance', 'alignment', 'business objective'],
+      'IT Policies, Standards And Procedures': ['policy', 'policies', 'procedure', 'standards and procedures'],
+      'Enterprise Architecture': ['enterprise architecture', 'architecture', 'zachman', 'togaf'],
+      'Enterprise Risk Management': ['risk management', 'risk appetite', 'risk tolerance', 'risk register', 'risk assessment', 'risk owner', 'risk treatment', 'residual risk', 'risk analysis'],
+      'Privacy Program': ['privacy', 'personal data', 'personally identifiable', 'pii', 'data subject', 'consent'],
+      'Data Governance And Classification': ['data classification', 'classification', 'data owner', 'data custodian', 'data governance', 'data quality', 'data retention'],
+    },
+    'Part B: IT Management': {
+      'IT Resource Management': ['human resource', 'staff', 'employee', 'personnel', 'job rotation', 'mandatory vacation', 'termination', 'training', 'budget', 'cost', 'investment', 'portfolio'],
+      'IT Vendor Management': ['vendor', 'outsourc', 'third party', 'third-party', 'supplier', 'contract', 'right to audit', 'service provider', 'escrow'],
+      'IT Performance Monitoring And Reporting': ['performance', 'balanced scorecard', 'kpi', 'key performance', 'metric', 'benchmark', 'maturity model', 'capability'],
+      'IT Quality Management': ['quality management', 'quality', 'iso 9001', 'continuous improvement', 'six sigma'],
+    },
+  },
+  'Information Systems Acquisition, Development And Implementation': {
+    'Part A: Acquisition And Development': {
+      'Project Governance And Management': ['project', 'project manager', 'project sponsor', 'milestone', 'critical path', 'pert', 'gantt', 'earned value', 'function point', 'scope creep'],
+      'Business Case And Feasibility Analysis': ['business case', 'feasibility', 'cost-benefit', 'return on investment', 'roi', 'requirements definition', 'requirement'],
+      'System Development Methodologies': ['sdlc', 'system development life cycle', 'development life cycle', 'agile', 'waterfall', 'prototyp', 'rapid application', 'scrum', 'devops', 'object-oriented', 'reengineering', 'reverse engineering', 'programmer', 'source code', 'software development'],
+      'Control Identification And Design': ['input control', 'processing control', 'output control', 'edit check', 'validation', 'check digit', 'hash total', 'batch total', 'control total', 'reasonableness', 'range check', 'application control'],
+    },
+    'Part B: Implementation': {
+      'Testing And Readiness': ['testing', 'test', 'unit test', 'integration test', 'system test', 'user acceptance', 'uat', 'regression', 'quality assurance testing', 'certification', 'accreditation'],
+      'Configuration And Release Management': ['release', 'version control', 'configuration management', 'change control', 'library', 'promotion', 'production environment'],
+      'Migration And Data Conversion': ['migration', 'conversion', 'data conversion', 'cutover', 'changeover', 'parallel run', 'phased', 'pilot', 'direct cutover', 'go-live'],
+      'Post-Implementation Review': ['post-implementation', 'postimplementation', 'lessons learned', 'benefits realization', 'post implementation'],
+    },
+  },
+  'Information Systems Operations And Business Resilience': {
+    'Part A: IS Operations': {
+      'IT Components And Asset Management': ['hardware', 'asset', 'inventory', 'middleware', 'operating system', 'mainframe', 'server', 'storage', 'san', 'raid', 'utility'],
+      'Job Scheduling And Automation': ['job schedul', 'scheduling', 'batch', 'job control', 'production process'],
+      'System Interfaces And End-User Computing': ['interface', 'end-user computing', 'end user computing', 'shadow it', 'spreadsheet', 'api'],
+      'Availability And Capacity Management': ['capacity', 'availability', 'utilization', 'load balancing', 'throughput', 'response time', 'uptime'],
+      'Problem And Incident Management': ['problem management', 'incident management', 'help desk', 'service desk', 'root cause', 'problem'],
+      'Change, Configuration And Patch Management': ['change management', 'patch', 'emergency change', 'configuration', 'change request'],
+      'Operational Log Management': ['log', 'console log', 'system log', 'audit trail', 'logging'],
+      'Service Level Management': ['service level', 'sla', 'itil', 'service management', 'service catalog'],
+      'Database Management': ['database', 'dbms', 'dba', 'database administrator', 'referential integrity', 'normalization', 'concurrency', 'rollback', 'commit', 'schema'],
+    },
+    'Part B: Business Resilience': {
+      'Business Impact Analysis': ['business impact analysis', 'bia', 'criticality', 'recovery time objective', 'rto', 'recovery point objective', 'rpo', 'maximum tolerable'],
+      'System And Operational Resilience': ['redundan', 'fault toleran', 'high availability', 'cluster', 'mirroring', 'failover', 'resilien', 'ups', 'uninterruptible'],
+      'Data Backup And Restoration': ['backup', 'back up', 'restore', 'restoration', 'tape', 'offsite', 'off-site', 'grandfather', 'incremental', 'differential', 'vault'],
+      'Business Continuity Planning': ['business continuity', 'bcp', 'continuity', 'crisis', 'emergency', 'call tree'],
+      'Disaster Recovery Planning': ['disaster recovery', 'drp', 'recovery site', 'hot site', 'warm site', 'cold site', 'mobile site', 'reciprocal agreement', 'recovery test', 'tabletop', 'paper test', 'full interruption'],
+    },
+  },
+  'Protection Of Information Assets': {
+    'Part A: Information Asset Security And Control': {
+      'Security Frameworks And Policies': ['security policy', 'information security', 'security framework', 'security program', 'security management', 'security officer', 'ciso'],
+      'Physical And Environmental Controls': ['physical', 'environmental', 'fire', 'halon', 'sprinkler', 'humidity', 'temperature', 'power', 'badge', 'mantrap', 'biometric', 'cctv', 'guard', 'data center', 'raised floor'],
+      'Identity And Access Management': ['access control', 'access', 'password', 'authentication', 'authoriz', 'single sign-on', 'sso', 'privilege', 'least privilege', 'user id', 'logon', 'account', 'identity', 'multifactor', 'two-factor', 'token', 'role-based'],
+      'Network And Endpoint Security': ['firewall', 'network', 'router', 'dmz', 'vpn', 'intrusion', 'ids', 'ips', 'proxy', 'antivirus', 'malware', 'endpoint', 'port', 'tcp', 'packet'],
+      'Data Loss Prevention': ['data loss prevention', 'dlp', 'data leakage', 'removable media', 'usb'],
+      'Encryption And PKI': ['encrypt', 'cryptograph', 'decrypt', 'cipher', 'digital signature', 'public key', 'private key', 'pki', 'certificate', 'certificate authority', 'hash', 'symmetric', 'asymmetric', 'key management'],
+      'Cloud And Virtualization': ['cloud', 'virtuali', 'hypervisor', 'virtual machine', 'saas', 'iaas', 'paas', 'container'],
+      'Mobile, Wireless And IoT': ['mobile', 'wireless', 'wi-fi', 'wifi', 'wpa', 'wep', 'bluetooth', 'iot', 'internet of things', 'byod', 'smartphone'],
+    },
+    'Part B: Security Event Management': {
+      'Security Awareness Training': ['awareness', 'security training', 'social engineering', 'phishing'],
+      'Attack Methods And Techniques': ['attack', 'denial of service', 'dos', 'ddos', 'spoofing', 'sniffing', 'man-in-the-middle', 'sql injection', 'cross-site', 'buffer overflow', 'virus', 'worm', 'trojan', 'ransomware', 'salami', 'piggybacking', 'tailgating', 'war driving', 'brute force', 'hacker'],
+      'Security Testing': ['penetration test', 'penetration', 'vulnerability', 'vulnerability scan', 'ethical hack', 'honeypot', 'scanning'],
+      'Security Monitoring': ['security monitoring', 'siem', 'monitoring', 'security log', 'alert', 'security event'],
+      'Incident Response': ['incident response', 'security incident', 'incident', 'breach', 'containment', 'eradication'],
+      'Evidence Collection And Forensics': ['forensic', 'chain of custody', 'digital evidence', 'imaging', 'bit-stream'],
+    },
+  },
+};
+
+export const getSubdomains = (domain) => Object.keys(CISA_TAXONOMY[domain] || {});
+
+export const getTopics = (domain, subdomain) => Object.keys(CISA_TAXONOMY[domain]?.[subdomain] || {});
+
+export const isKnownTag = (domain, subdomain, topic) => (
+  Boolean(CISA_TAXONOMY[domain]?.[subdomain]) && (!topic || Boolean(CISA_TAXONOMY[domain][subdomain][topic]))
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keyword regexes compiled once per topic.
+const TOPIC_MATCHERS = Object.entries(CISA_TAXONOMY).flatMap(([domain, subdomains]) => (
+  Object.entries(subdomains).flatMap(([subdomain, topics]) => (
+    Object.entries(topics).map(([topic, keywords]) => ({
+      domain,
+      subdomain,
+      topic,
+      patterns: keywords.map(keyword => new RegExp(`\\b${escapeRegExp(keyword)}`, 'g')),
+    }))
+  ))
+));
+
+const countMatches = (pattern, text) => (text.match(pattern) || []).length;
+
+// Suggests { subdomain, topic, score } for a transformed question, searching
+// only its own domain. Stem matches count double the options and explanation.
+// Returns null when no keyword matches.
+export const autoTagQuestion = (question) => {
+  const stem = (question.question || '').toLowerCase();
+  const rest = [...(question.options || []), question.explanation || ''].join(' ').toLowerCase();
+  let best = null;
+  TOPIC_MATCHERS.forEach(matcher => {
+    if (matcher.domain !== question.domain) return;
+    // Multi-word keywords are more specific, so they weigh more
+    const score = matcher.patterns.reduce((sum, pattern) => {
+      const specificity = pattern.source.includes(' ') ? 2 : 1;
+      return sum + specificity * (2 * countMatches(pattern, stem) + countMatches(pattern, rest));
+    }, 0);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { subdomain: matcher.subdomain, topic: matcher.topic, score };
+    }
+  });
+  return best;
+};
+
+// Question IDs hash the stem and options, so suggestions can be reused
+// across re-transforms (every tag edit re-runs transformQuestions).
+const suggestionCache = new Map();
+const cachedAutoTag = (question) => {
+  const key = `${question.id}|${question.domain}`;
+  if (!suggestionCache.has(key)) suggestionCache.set(key, autoTagQuestion(question));
+  return suggestionCache.get(key);
+};
+
+// Resolves a question's tags: saved tags win over the bank's Subdomain/Topic
+// columns, which win over the auto-tagger.
+export const resolveTags = (question, rawRow, savedTag) => {
+  if (savedTag) return { subdomain: savedTag.subdomain, topic: savedTag.topic, tagSource: 'manual' };
+  if (rawRow.Subdomain) return { subdomain: rawRow.Subdomain, topic: rawRow.Topic || null, tagSource: 'bank' };
+  const suggestion = cachedAutoTag(question);
+  return suggestion
+    ? { subdomain: suggestion.subdomain, topic: suggestion.topic, tagSource: 'auto' }
+    : { subdomain: null, topic: null, tagSource: null };
+};
+
+// Filter shape used by practice setup: { domain, subdomain, topic }, each
+// 'all' to match anything at that level.
+export const matchesTaxonomyFilter = (question, filter) => (
+  (filter.domain === 'all' || question.domain === filter.domain)
+  && (!filter.subdomain || filter.subdomain === 'all' || question.subdomain === filter.subdomain)
+  && (!filter.topic || filter.topic === 'all' || question.topic === filter.topic)
+);
+
+export const TAXONOMY_LEVELS = [
+  { key: 'domain', label: 'Domain' },
+  { key: 'subdomain', label: 'Subdomain' },
+  { key: 'topic', label: 'Topic' },
+];
+
+// Aggregates per-question performance at a taxonomy level. Rows are sorted
+// weakest first; untagged questions are grouped under 'Untagged'.
+export const aggregateByTaxonomy = (questions, questionPerformance, level = 'domain') => {
+  const groups = {};
+  questions.forEach(q => {
+    const label = q[level] || 'Untagged';
+    const key = level === 'domain' ? label : `${q.domain}|${q.subdomain || ''}|${level === 'topic' ? label : ''}`;
+    groups[key] = groups[key] || {
+      key,
+      label,
+      domain: q.domain,
+      subdomain: level === 'domain' ? null : q.subdomain,
+      correct: 0,
+      total: 0,
+      questionCount: 0,
+    };
+    const stats = questionPerformance[q.id];
+    groups[key].questionCount += 1;
+    if (stats) {
+      groups[key].correct += stats.correctCount;
+      groups[key].total += stats.totalCount;
+    }
+  });
+  return Object.values(groups)
+    .map(g => ({ ...g, accuracy: g.total > 0 ? Math.round((g.correct / g.total) * 100) : null }))
+    .sort((a, b) => (a.accuracy ?? 101) - (b.accuracy ?? 101) || a.label.localeCompare(b.label));
+};
+
+// Writes resolved tags onto bank rows as Subdomain/Topic columns.
+export const applyTagsToRows = (rows, questions) => rows.map((row, i) => {
+  const q = questions[i];
+  if (!q || !q.subdomain) return row;
+  return { ...row, Subdomain: q.subdomain, ...(q.topic && { Topic: q.topic }) };
+});
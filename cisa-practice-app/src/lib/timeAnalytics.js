@@ -0,0 +1,73 @@
+import { EXAM_PACE_SECONDS } from './spacedRepetition.js';
+
+// --- Time-management analytics ---
+// Built from the per-question seconds stored on each session's questionTimes.
+
+export const TIME_BANDS = [
+  { label: '< 30s', max: 30 },
+  { label: '30–60s', max: 60 },
+  { label: `60–${EXAM_PACE_SECONDS}s`, max: EXAM_PACE_SECONDS },
+  { label: `${EXAM_PACE_SECONDS}–150s`, max: 150 },
+  { label: '> 150s', max: Infinity },
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// One entry per timed answer across the history; `correct` is null for
+// sessions recorded before answers were stored.
+const collectTimedAnswers = (sessionHistory, questionsById) => sessionHistory.flatMap(session => (
+  Object.entries(session.questionTimes || {}).flatMap(([id, seconds]) => {
+    const q = questionsById.get(String(id));
+    if (!q || !(seconds > 0)) return [];
+    const chosen = session.answers?.[id];
+    return [{ domain: q.domain, seconds, correct: session.answers ? chosen === q.correctAnswer : null }];
+  })
+));
+
+export const getTimeAnalytics = (sessionHistory, questions) => {
+  const questionsById = new Map(questions.map(q => [String(q.id), q]));
+  const timed = collectTimedAnswers(sessionHistory, questionsById);
+  if (timed.length === 0) return null;
+
+  const byDomain = {};
+  timed.forEach(({ domain, seconds }) => {
+    byDomain[domain] = byDomain[domain] || { seconds: 0, count: 0 };
+    byDomain[domain].seconds += seconds;
+    byDomain[domain].count += 1;
+  });
+
+  const bands = TIME_BANDS.map(band => ({ label: band.label, correct: 0, total: 0 }));
+  timed.forEach(({ seconds, correct }) => {
+    if (correct === null) return;
+    const band = bands[TIME_BANDS.findIndex(b => seconds < b.max)];
+    band.total += 1;
+    if (correct) band.correct += 1;
+  });
+
+  return {
+    timedCount: timed.length,
+    averageSeconds: round1(timed.reduce((sum, t) => sum + t.seconds, 0) / timed.length),
+    overPaceShare: timed.filter(t => t.seconds > EXAM_PACE_SECONDS).length / timed.length,
+    byDomain: Object.entries(byDomain)
+      .map(([domain, d]) => ({ domain, averageSeconds: round1(d.seconds / d.count), count: d.count }))
+      .sort((a, b) => b.averageSeconds - a.averageSeconds),
+    accuracyByTime: bands.map(b => ({
+      label: b.label,
+      total: b.total,
+      accuracy: b.total > 0 ? Math.round((b.correct / b.total) * 100) : null,
+    })),
+  };
+};
+
+// In-exam pace: compares questions answered with how many should be done
+// at the exam's own seconds-per-question (which includes any extended time).
+export const getPaceStatus = ({ elapsedSeconds, answeredCount, totalQuestions, durationSeconds }) => {
+  const secondsPerQuestion = durationSeconds / totalQuestions;
+  const expected = Math.min(totalQuestions, elapsedSeconds / secondsPerQuestion);
+  const difference = Math.round(answeredCount - expected);
+  return {
+    expected: Math.floor(expected),
+    difference,
+    status: difference >= 0 ? 'on-pace' : difference >= -3 ? 'slightly-behind' : 'behind',
+  };
+};
@@ -0,0 +1,30 @@
+// --- Exam timer policies ---
+
+export const TIMER_MODES = {
+  strict: { label: 'Strict', description: 'No pausing, as on exam day', pausable: false },
+  pausable: { label: 'Pausable', description: 'Pause freely; only active time counts', pausable: true },
+};
+
+// Accommodation multipliers applied on top of the standard allowance.
+export const TIME_EXTENSIONS = [
+  { value: 0, label: 'Standard time' },
+  { value: 0.25, label: '+25% extended time' },
+  { value: 0.5, label: '+50% extended time' },
+];
+
+// The real exam allows 240 minutes for 150 questions; shorter exams are prorated.
+export const getExamDurationSeconds = (questionCount, extension = 0) => Math.round((questionCount / 150) * 240 * (1 + extension)) * 60;
+
+export const formatPolicy = (policy) => {
+  if (!policy) return '';
+  const extension = TIME_EXTENSIONS.find(e => e.value === policy.extension);
+  return `${TIMER_MODES[policy.mode].label}${policy.extension ? ` · ${extension ? extension.label : `+${Math.round(policy.extension * 100)}%`}` : ''}`;
+};
+
+// HH:MM:SS, for the exam countdown and practice question clock.
+export const formatTime = (seconds) => {
+  const h = Math.floor(seconds / 3600).toString().padStart(2, '0');
+  const m = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+  const s = (seconds % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}`;
+};
@@ -0,0 +1,39 @@
+// --- Service worker ---
+// Not bundled: the precache plugin in vite.config.js emits this file as
+// /sw.js with PRECACHE filled in from the build. Everything is served from
+// the cache first so the app starts offline. A new build installs alongside
+// the old one and waits until the page asks it to take over (see
+// lib/serviceWorker.js), so a session is never swapped out mid-question.
+
+// { version, shell, urls }: shell is index.html, urls every file in the build.
+const PRECACHE = self.__PRECACHE__;
+const CACHE_PREFIX = 'cisa-practice-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE.urls)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  // Routes are resolved in the page, so every navigation gets the app shell
+  const cached = request.mode === 'navigate'
+    ? caches.match(PRECACHE.shell, { cacheName: CACHE_NAME })
+    : caches.match(request, { cacheName: CACHE_NAME });
+  event.respondWith(cached.then(response => response || fetch(request)));
+});
@@ -1,10 +1,55 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// Emits sw.js from src/sw.js with the list of files to precache. The question
+// bank is bundled into the app's JS, so caching the build covers it. The
+// version hashes every file's contents, so any new build or bank changes the
+// worker and the open app offers an update.
+const precache = () => {
+  let config
+  return {
+    name: 'cisa-precache',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_options, bundle) {
+      const files = Object.values(bundle).map(file => ({
+        name: file.fileName,
+        source: file.type === 'chunk' ? file.code : file.source,
+      }))
+      const publicDir = config.publicDir
+      readdirSync(publicDir, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .forEach(entry => files.push({ name: entry.name, source: readFileSync(join(publicDir, entry.name)) }))
+      files.sort((a, b) => a.name.localeCompare(b.name))
+
+      const hash = createHash('sha256')
+      files.forEach(file => hash.update(file.name).update(file.source))
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        shell: `${config.base}index.html`,
+        urls: files.map(file => `${config.base}${file.name}`),
+      }
+      const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template.replace('self.__PRECACHE__', JSON.stringify(manifest)),
+      })
+    },
+  }
+}
+
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    precache(),
   ],
-})
\ No newline at end of file
+})